@@ -1,30 +1,182 @@
 // background.js
 
-import { decryptData, getEncryptionKey, getStorage } from "./utils.js";
-
-const apiCallTracker = {};
+import {
+  decryptData,
+  getEncryptionKey,
+  getSessionStorage,
+  getStorage,
+  setSessionStorage,
+  setStorage,
+} from "./utils.js";
+import {
+  getCacheKey,
+  getCachedTranslation,
+  setCachedTranslation,
+} from "./cache.js";
+import {
+  getProvider,
+  getProviders,
+  getProviderStorageKeys,
+  supportsLanguage,
+} from "./providers/index.js";
+import {
+  getLanguageName,
+  getLanguageRule,
+  languageCodeAliases,
+  languages,
+} from "./languages.js";
+import { recordUsage } from "./usage.js";
+import { TranslationError, TranslationErrorCode } from "./errors.js";
 
 //Listener for messages from content script.
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "translatePost") {
     const post = message.post;
-    translatePost(post)
-      .then((translatedPost) => {
-        sendResponse({ translatedPost });
+    translatePost(post, {
+      auto: !!message.auto,
+      sourceLanguage: message.sourceLanguage || null,
+      providerId: message.providerId || null,
+    })
+      .then((translation) => {
+        sendResponse(getTranslationResponse(translation));
+      })
+      .catch((error) => {
+        console.error("BabbelSky: Translation Error:", error);
+        sendResponse({
+          error: error.message,
+          code: error.code,
+          providerId: error.providerId,
+        });
+      });
+    return true; // Indicates that sendResponse will be called asynchronously
+  }
+
+  if (message.action === "translatePosts") {
+    const posts = (message.posts || []).map((post) => ({
+      text: post.text,
+      sourceLanguage: post.sourceLanguage || null,
+    }));
+    translatePosts(posts, {
+      auto: !!message.auto,
+      providerId: message.providerId || null,
+      contextPosts: (message.contextPosts || []).filter(
+        (text) => typeof text === "string",
+      ),
+      targetLanguage: message.targetLanguage || null,
+    })
+      .then((translations) => {
+        sendResponse({
+          // Posts skipped by a language rule have no translation
+          translations: translations.map((translation) =>
+            translation ? getTranslationResponse(translation) : null,
+          ),
+        });
       })
       .catch((error) => {
         console.error("BabbelSky: Translation Error:", error);
-        sendResponse({ error: error.message });
+        sendResponse({
+          error: error.message,
+          code: error.code,
+          providerId: error.providerId,
+        });
+      });
+    return true; // Indicates that sendResponse will be called asynchronously
+  }
+
+  if (message.action === "getLanguages") {
+    sendResponse({ languages, languageCodeAliases });
+    return false;
+  }
+
+  if (message.action === "getAvailableProviders") {
+    getAvailableProviders()
+      .then((providers) => {
+        sendResponse({ providers });
+      })
+      .catch((error) => {
+        console.error("BabbelSky: Failed to list providers:", error);
+        sendResponse({ providers: [] });
       });
     return true; // Indicates that sendResponse will be called asynchronously
   }
 
+  if (message.action === "openOptionsPage") {
+    chrome.runtime.openOptionsPage(() => {
+      if (chrome.runtime.lastError) {
+        console.error(
+          "BabbelSky: Failed to open Options Page.",
+          chrome.runtime.lastError,
+        );
+        sendResponse({ success: false });
+      } else {
+        sendResponse({ success: true });
+      }
+    });
+    return true; // Indicates that sendResponse will be called asynchronously
+  }
+
   // Explicitly return false for all other cases
   return false;
 });
 
+// Listener for streamed translations. The content script keeps the port open
+// while the translation is shown and disconnects it to cancel the stream.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "translatePostStream") {
+    return;
+  }
+
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  /**
+   * Posts a message to the content script unless it disconnected.
+   * @param {Object} message - The message to post.
+   */
+  function postMessage(message) {
+    if (!disconnected) {
+      port.postMessage(message);
+    }
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.action !== "translatePost") {
+      return;
+    }
+    translatePostStream(message.post, {
+      sourceLanguage: message.sourceLanguage || null,
+      providerId: message.providerId || null,
+      onStart: (translation) =>
+        postMessage({ type: "start", ...getTranslationResponse(translation) }),
+      onChunk: (text) => postMessage({ type: "chunk", text }),
+      signal: controller.signal,
+    })
+      .then((translation) => {
+        postMessage({ type: "done", ...getTranslationResponse(translation) });
+      })
+      .catch((error) => {
+        if (error.name === "AbortError") {
+          return;
+        }
+        console.error("BabbelSky: Translation Error:", error);
+        postMessage({
+          type: "error",
+          error: error.message,
+          code: error.code,
+          providerId: error.providerId,
+        });
+      });
+  });
+});
+
 // Listener for when the extension is installed
 chrome.runtime.onInstalled.addListener(function (details) {
+  createContextMenus();
+
   if (details.reason === "install") {
     // Open the Options Page
     chrome.runtime.openOptionsPage(function () {
@@ -46,26 +198,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "injectContentScript") {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (tabs.length) {
-        chrome.scripting.executeScript(
-          {
-            target: { tabId: tabs[0].id },
-            files: ["contentScript.js"],
-          },
-          () => {
-            if (chrome.runtime.lastError) {
-              console.error(
-                "Error injecting contentScript.js:",
-                chrome.runtime.lastError,
-              );
-              sendResponse({
-                success: false,
-                error: chrome.runtime.lastError.message,
-              });
-            } else {
-              sendResponse({ success: true });
-            }
-          },
-        );
+        injectContentScript(tabs[0].id)
+          .then(() => {
+            sendResponse({ success: true });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
       }
     });
     return true; // Indicates asynchronous response will be sent
@@ -74,154 +213,842 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Explicitly return false for all other cases
   return false;
 });
+
+// Listener for the "Translate selection with BabbelSky" context menu entry
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== selectionMenuId || !tab) {
+    return;
+  }
+  translateSelection(info.selectionText || "", tab.id).catch((error) => {
+    console.error("BabbelSky: Failed to translate the selection.", error);
+  });
+});
+
+// Listener for the keyboard shortcuts
+chrome.commands.onCommand.addListener((command) => {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs[0];
+    if (!tab || !/^https?:\/\/bsky\.app\//.test(tab.url || "")) {
+      return;
+    }
+    runCommand(command, tab.id).catch((error) => {
+      console.error(`BabbelSky: Failed to run the ${command} shortcut.`, error);
+    });
+  });
+});
+
 /**
- * Translates a single post using the selected translation service.
- * @param {string} post - The post text to translate.
- * @returns {Promise<string>} - The translated post text.
+ * Injects the content script and its styles into a tab.
+ * @param {number} tabId - The tab.
+ * @returns {Promise<void>}
  */
-async function translatePost(post) {
+function injectContentScript(tabId) {
+  chrome.scripting.insertCSS(
+    {
+      target: { tabId },
+      files: ["contentScript.css"],
+    },
+    () => {
+      if (chrome.runtime.lastError) {
+        console.error(
+          "Error injecting contentScript.css:",
+          chrome.runtime.lastError,
+        );
+      }
+    },
+  );
+  return new Promise((resolve, reject) => {
+    chrome.scripting.executeScript(
+      {
+        target: { tabId },
+        files: ["languageDetector.js", "contentScript.js"],
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.error(
+            "Error injecting contentScript.js:",
+            chrome.runtime.lastError,
+          );
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      },
+    );
+  });
+}
+
+/**
+ * ID of the "Translate selection with BabbelSky" context menu entry.
+ * @type {string}
+ */
+const selectionMenuId = "babbelsky-translate-selection";
+
+/**
+ * Longest selection translated from the context menu, in characters.
+ * @type {number}
+ */
+const maxSelectionLength = 5000;
+
+/**
+ * Adds the "Translate selection with BabbelSky" entry to the context menu
+ * of text selected on Bluesky.
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create(
+      {
+        id: selectionMenuId,
+        title: "Translate selection with BabbelSky",
+        contexts: ["selection"],
+        documentUrlPatterns: ["*://bsky.app/*"],
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.error(
+            "BabbelSky: Failed to create the context menu.",
+            chrome.runtime.lastError,
+          );
+        }
+      },
+    );
+  });
+}
+
+/**
+ * Sends a message to the content script of a tab, injecting the content
+ * script first if the page doesn't have it yet.
+ * @param {number} tabId - The tab.
+ * @param {Object} message - The message.
+ * @param {boolean} [injected=false] - Whether the content script was just injected.
+ * @returns {Promise<void>}
+ */
+function sendTabMessage(tabId, message, injected = false) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, () => {
+      if (!chrome.runtime.lastError) {
+        resolve();
+      } else if (injected) {
+        reject(chrome.runtime.lastError);
+      } else {
+        injectContentScript(tabId)
+          .then(() => sendTabMessage(tabId, message, true))
+          .then(resolve, reject);
+      }
+    });
+  });
+}
+
+/**
+ * Translates text selected on the page with the configured provider, prompt
+ * and target language, and shows the result in a panel next to the selection.
+ * While BabbelSky is paused, a notice says so instead.
+ * @param {string} text - The selected text.
+ * @param {number} tabId - The tab the text was selected in.
+ * @returns {Promise<void>}
+ */
+async function translateSelection(text, tabId) {
+  const selection = text.trim().slice(0, maxSelectionLength);
+  if (!selection) {
+    return;
+  }
+  const { paused } = await getStorage(["paused"]);
+  if (paused) {
+    await sendTabMessage(tabId, {
+      action: "showShortcutNotice",
+      text: "BabbelSky is paused. Resume it from the toolbar.",
+    });
+    return;
+  }
+  // Lets the content script ignore the result of an earlier selection
+  const requestId = `${Date.now()}-${Math.random()}`;
+  const message = { action: "showSelectionTranslation", requestId };
+
+  await sendTabMessage(tabId, { ...message, status: "loading" });
+  try {
+    const translation = await translatePost(selection);
+    await sendTabMessage(tabId, {
+      ...message,
+      status: "done",
+      ...getTranslationResponse(translation),
+    });
+  } catch (error) {
+    console.error("BabbelSky: Translation Error:", error);
+    await sendTabMessage(tabId, {
+      ...message,
+      status: "error",
+      error: error.message,
+      code: error.code,
+    });
+  }
+}
+
+/**
+ * Runs a keyboard shortcut. Switching the translation service is done here;
+ * the other shortcuts act on the page and are passed to the content script.
+ * @param {string} command - The command name from manifest.json.
+ * @param {number} tabId - The Bluesky tab the shortcut was pressed in.
+ * @returns {Promise<void>}
+ */
+async function runCommand(command, tabId) {
+  if (command !== "cycle-provider") {
+    await sendTabMessage(tabId, { action: "runShortcut", command });
+    return;
+  }
+
+  const provider = await selectNextProvider();
+  await sendTabMessage(tabId, {
+    action: "showShortcutNotice",
+    text: provider
+      ? `Translating with ${provider.name}`
+      : "No translation service is configured. Add an API key on the BabbelSky options page.",
+  });
+}
+
+/**
+ * Selects the configured provider after the selected one as the translation service.
+ * @returns {Promise<{id: string, name: string}|null>} - The newly selected provider,
+ *   or null if no provider is configured.
+ */
+async function selectNextProvider() {
+  const [providers, { translationService }] = await Promise.all([
+    getAvailableProviders(),
+    getStorage(["translationService"]),
+  ]);
+  if (!providers.length) {
+    return null;
+  }
+
+  const index = providers.findIndex(
+    (provider) => provider.id === translationService,
+  );
+  const provider = providers[(index + 1) % providers.length];
+  await setStorage({ translationService: provider.id });
+  return provider;
+}
+
+/**
+ * Decrypts the credentials of a provider from the stored settings.
+ * @param {import("./providers/registry.js").TranslationProvider} provider - The provider.
+ * @param {Object} settings - Settings retrieved from storage.
+ * @returns {Promise<Object<string, string>|null>} - The decrypted credentials, or null if a required one is missing.
+ * @throws {TranslationError} - With code DECRYPTION_FAILED if a stored credential cannot be decrypted.
+ */
+async function getProviderCredentials(provider, settings) {
+  const key = await getEncryptionKey();
+  const credentials = {};
+
+  for (const credential of provider.credentials) {
+    const storedValue = settings[credential.storageKey];
+    if (!storedValue) {
+      if (!credential.optional) {
+        return null;
+      }
+      continue;
+    }
+    if (credential.secret === false) {
+      credentials[credential.key] = storedValue;
+      continue;
+    }
+    try {
+      const encryptedData = JSON.parse(storedValue);
+      credentials[credential.key] = await decryptData(
+        key,
+        encryptedData.iv,
+        encryptedData.ciphertext,
+      );
+    } catch (error) {
+      console.error(`BabbelSky: Failed to decrypt ${credential.label}.`, error);
+      throw new TranslationError(
+        `Your ${credential.label} could not be decrypted. Enter it again on the options page.`,
+        {
+          code: TranslationErrorCode.DECRYPTION_FAILED,
+          providerId: provider.id,
+        },
+      );
+    }
+  }
+
+  return credentials;
+}
+
+/**
+ * Default number of automatic translations allowed per browser session.
+ * @type {number}
+ */
+const defaultAutoTranslateBudget = 50;
+
+/**
+ * Counts automatic translations against the per-session budget. If only part
+ * of them fits, that part is counted.
+ * @param {number} budget - Automatic translations allowed per browser session.
+ * @param {number} [count=1] - Number of translations wanted.
+ * @returns {Promise<number>} - Number of translations allowed, at most count.
+ * @throws {TranslationError} - With code AUTO_TRANSLATE_BUDGET_EXCEEDED if the budget is used up.
+ */
+async function consumeAutoTranslateBudget(budget, count = 1) {
+  const { autoTranslateCount = 0 } = await getSessionStorage([
+    "autoTranslateCount",
+  ]);
+  const allowed = Math.min(count, budget - autoTranslateCount);
+  if (allowed <= 0) {
+    throw new TranslationError(
+      `Automatic translation paused: the limit of ${budget} translations for this session was reached.`,
+      { code: TranslationErrorCode.AUTO_TRANSLATE_BUDGET_EXCEEDED },
+    );
+  }
+  await setSessionStorage({ autoTranslateCount: autoTranslateCount + allowed });
+  return allowed;
+}
+
+/**
+ * Normalizes the value returned by a provider's translate().
+ * @param {string|import("./providers/registry.js").TranslationResult} result - The provider result.
+ * @param {string|null} sourceLanguage - Language code detected on the page, if any.
+ * @returns {import("./cache.js").CachedTranslation} - The translated text and source language.
+ */
+function normalizeTranslationResult(result, sourceLanguage) {
+  if (typeof result === "string") {
+    return { text: result, sourceLanguage };
+  }
+  // Prefer the provider's detection, which sees the whole text
+  return {
+    text: result.text,
+    sourceLanguage: result.detectedSourceLanguage || sourceLanguage,
+  };
+}
+
+/**
+ * A translated post.
+ * @typedef {Object} PostTranslation
+ * @property {string} text - The translated post text.
+ * @property {string|null} sourceLanguage - Code of the language translated from, if known.
+ * @property {string|null} sourceLanguageName - Name of the language translated from, if known.
+ * @property {string} providerName - Display name of the provider that translated the post.
+ * @property {string|null} fallbackFrom - Display name of the selected provider, if it
+ *   failed and a fallback provider translated the post instead.
+ */
+
+/**
+ * Converts a translated post to the message sent back to the content script.
+ * @param {PostTranslation} translation - The translated post.
+ * @returns {Object} - The response message.
+ */
+function getTranslationResponse(translation) {
+  return {
+    translatedPost: translation.text,
+    sourceLanguage: translation.sourceLanguage,
+    sourceLanguageName: translation.sourceLanguageName,
+    provider: translation.providerName,
+    fallbackFrom: translation.fallbackFrom,
+  };
+}
+
+/**
+ * A provider of the fallback chain and everything needed to call it.
+ * @typedef {Object} TranslationSetup
+ * @property {import("./providers/registry.js").TranslationProvider} provider - The provider.
+ * @property {Object} context - Credentials, target language and settings passed to the provider.
+ * @property {string} promptVersion - Serialized provider settings, part of the cache key.
+ */
+
+/**
+ * The providers to try, in order, and the settings they were read from.
+ * @typedef {Object} TranslationChain
+ * @property {Object} settings - Settings retrieved from storage.
+ * @property {TranslationSetup[]} setups - The selected provider, then the fallback providers.
+ * @property {string|null} primaryName - Display name of the selected provider.
+ */
+
+/**
+ * Error codes after which the next provider of the fallback chain is tried.
+ * @type {Set<string>}
+ */
+const fallbackErrorCodes = new Set([
+  TranslationErrorCode.QUOTA_EXCEEDED,
+  TranslationErrorCode.INVALID_API_KEY,
+  TranslationErrorCode.RATE_LIMITED,
+  TranslationErrorCode.SERVER_ERROR,
+  TranslationErrorCode.NETWORK_ERROR,
+  TranslationErrorCode.HOST_PERMISSION_DENIED,
+  TranslationErrorCode.USAGE_CAP_REACHED,
+]);
+
+/**
+ * Reads the settings and builds the fallback chain: the selected provider,
+ * then the fallback providers in the order the user chose. Providers that
+ * are missing a credential or don't support the target language are skipped.
+ * @param {Object} [options] - Overrides of the settings.
+ * @param {string|null} [options.providerId=null] - A provider to use instead of the chain,
+ *   when the user picks another provider after an error.
+ * @param {string|null} [options.targetLanguage=null] - A language to translate to instead
+ *   of the target language, when the user translates their own draft.
+ * @returns {Promise<TranslationChain>} - The providers to try.
+ * @throws {TranslationError} - If no provider is selected, or none of the chain can translate.
+ */
+async function getTranslationChain({
+  providerId = null,
+  targetLanguage: targetLanguageOverride = null,
+} = {}) {
   // Retrieve settings from storage
   const settings = await getStorage([
-    "encryptedGoogleApiKey",
-    "encryptedOpenaiApiKey",
     "targetLanguage",
     "targetLanguageName",
-    "openaiPrompt",
     "translationService",
+    "fallbackServices",
+    "autoTranslateBudget",
+    ...getProviderStorageKeys(),
   ]);
-  const {
-    encryptedGoogleApiKey,
-    encryptedOpenaiApiKey,
-    targetLanguage,
-    targetLanguageName,
-    openaiPrompt,
-    translationService,
-  } = settings;
+  const { translationService } = settings;
+  const targetLanguage = targetLanguageOverride || settings.targetLanguage;
+  const targetLanguageName = targetLanguageOverride
+    ? getLanguageName(targetLanguageOverride)
+    : settings.targetLanguageName;
 
-  if (!translationService) {
-    throw new Error("No translation service selected.");
+  if (targetLanguageOverride && !targetLanguageName) {
+    throw new TranslationError(
+      `BabbelSky cannot translate to "${targetLanguage}".`,
+      { code: TranslationErrorCode.UNSUPPORTED_LANGUAGE },
+    );
   }
 
-  // Decrypt API keys
-  const key = await getEncryptionKey();
-  let googleApiKey = "";
-  let openaiApiKey = "";
-  let translatedText = "";
-
-  if (translationService === "Google" && encryptedGoogleApiKey) {
-    const encryptedGoogleData = JSON.parse(encryptedGoogleApiKey);
-    googleApiKey = await decryptData(
-      key,
-      encryptedGoogleData.iv,
-      encryptedGoogleData.ciphertext,
-    );
-    translatedText = await translateWithGoogle(
-      post,
-      googleApiKey,
-      targetLanguage,
-    );
-  } else if (translationService === "OpenAI" && encryptedOpenaiApiKey) {
-    const encryptedOpenAIData = JSON.parse(encryptedOpenaiApiKey);
-    openaiApiKey = await decryptData(
-      key,
-      encryptedOpenAIData.iv,
-      encryptedOpenAIData.ciphertext,
-    );
-    translatedText = await translateWithOpenAI(
-      post,
-      openaiApiKey,
-      targetLanguageName,
-      openaiPrompt,
-    );
-  } else {
-    throw new Error("Invalid translation service or missing API key.");
+  if (!translationService && !providerId) {
+    throw new TranslationError("No translation service selected.", {
+      code: TranslationErrorCode.NO_SERVICE_SELECTED,
+    });
   }
 
-  return translatedText;
-}
+  const providerIds = (
+    providerId
+      ? [providerId]
+      : [translationService, ...(settings.fallbackServices || [])]
+  ).filter((id, index, ids) => ids.indexOf(id) === index);
 
-async function rateLimitedApiCall(url, options) {
-  const now = Date.now();
-  const lastApiCallTime = apiCallTracker[url] || 0;
-  const timeSinceLastCall = now - lastApiCallTime;
+  const setups = [];
+  let firstError = null;
+  for (const id of providerIds) {
+    const provider = getProvider(id);
+    let credentials = null;
+    try {
+      credentials = provider
+        ? await getProviderCredentials(provider, settings)
+        : null;
+    } catch (error) {
+      firstError = firstError || error;
+      continue;
+    }
+    if (!credentials) {
+      firstError =
+        firstError ||
+        new TranslationError(
+          "Invalid translation service or missing API key.",
+          { code: TranslationErrorCode.MISSING_API_KEY, providerId: id },
+        );
+      continue;
+    }
+
+    if (!supportsLanguage(provider, targetLanguage)) {
+      firstError =
+        firstError ||
+        new TranslationError(
+          `${provider.name} does not support translating to ${targetLanguageName}.`,
+          {
+            code: TranslationErrorCode.UNSUPPORTED_LANGUAGE,
+            providerId: provider.id,
+          },
+        );
+      continue;
+    }
+
+    setups.push({
+      provider,
+      context: {
+        credentials,
+        targetLanguage,
+        targetLanguageName,
+        settings,
+      },
+      promptVersion: JSON.stringify(
+        provider.settings.map((setting) => settings[setting] ?? null),
+      ),
+    });
+  }
 
-  // Ensure at least 2 seconds between API calls
-  if (timeSinceLastCall < 2000) {
-    const delay = 2000 - timeSinceLastCall;
-    await new Promise((resolve) => setTimeout(resolve, delay));
+  if (!setups.length) {
+    throw firstError;
   }
 
-  apiCallTracker[url] = Date.now(); // Update the last API call time
+  const primaryProvider = getProvider(providerIds[0]);
+  return {
+    settings,
+    setups,
+    primaryName: primaryProvider ? primaryProvider.name : null,
+  };
+}
 
-  const response = await fetch(url, options);
-  if (!response.ok) {
-    throw new Error(`API call failed: ${response.statusText}`);
+/**
+ * Lists the providers that are ready to translate to the target language,
+ * so the user can pick another one after an error.
+ * @returns {Promise<Array<{id: string, name: string}>>} - The configured providers.
+ */
+async function getAvailableProviders() {
+  const settings = await getStorage([
+    "targetLanguage",
+    ...getProviderStorageKeys(),
+  ]);
+
+  const available = [];
+  for (const provider of getProviders()) {
+    if (!supportsLanguage(provider, settings.targetLanguage)) {
+      continue;
+    }
+    try {
+      if (await getProviderCredentials(provider, settings)) {
+        available.push({ id: provider.id, name: provider.name });
+      }
+    } catch (error) {
+      // Credentials that can't be decrypted make the provider unavailable
+    }
   }
-  return response.json();
+  return available;
 }
 
 /**
- * Translates text using OpenAI's API.
- * @param {string} text - Text to translate.
- * @param {string} apiKey - OpenAI API key.
- * @param {string} targetLanguageName - Target language.
- * @param {string} prompt - Custom translation prompt.
- * @returns {Promise<string>} - Translated text.
+ * Completes a translation with the provider that made it.
+ * @param {import("./cache.js").CachedTranslation} translation - The translated text and source language.
+ * @param {TranslationSetup} setup - The provider that translated the text.
+ * @param {TranslationChain} chain - The fallback chain.
+ * @returns {PostTranslation} - The translated post.
  */
-async function translateWithOpenAI(text, apiKey, targetLanguageName, prompt) {
-  const promptWithTarget = prompt
-    .replace("{TARGET}", targetLanguageName)
-    .replace("{TEXT}", text);
-  const messages = [
-    {
-      role: "system",
-      content:
-        "You are a helpful assistant that translates text with an emphasis on clear meaning.",
-    },
-    {
-      role: "user",
-      content: promptWithTarget,
-    },
-  ];
-
-  const url = "https://api.openai.com/v1/chat/completions";
-  const options = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini", // Adjust model as needed
-      messages,
-    }),
+function toPostTranslation(translation, setup, chain) {
+  return {
+    ...translation,
+    sourceLanguageName: getLanguageName(translation.sourceLanguage),
+    providerName: setup.provider.name,
+    fallbackFrom:
+      setup.provider.name !== chain.primaryName ? chain.primaryName : null,
   };
+}
+
+/**
+ * Computes the cache key of a post for a provider. A translation made with
+ * thread context is cached apart from one made without it.
+ * @param {TranslationSetup} setup - The provider.
+ * @param {string} text - The post text.
+ * @param {string[]} [contextPosts=[]] - Earlier posts of the thread sent as context.
+ * @returns {Promise<string>} - The cache key.
+ */
+function getSetupCacheKey(setup, text, contextPosts = []) {
+  return getCacheKey({
+    text,
+    targetLanguage: setup.context.targetLanguage,
+    providerId: setup.provider.id,
+    promptVersion: setup.promptVersion,
+    contextPosts,
+  });
+}
 
-  const data = await rateLimitedApiCall(url, options);
+/**
+ * Returns the first cached translation of a post along the fallback chain.
+ * @param {TranslationChain} chain - The fallback chain.
+ * @param {string} text - The post text.
+ * @param {string[]} [contextPosts=[]] - Earlier posts of the thread sent as context.
+ * @returns {Promise<PostTranslation|null>} - The translation, or null if not cached.
+ */
+async function getChainCachedTranslation(chain, text, contextPosts = []) {
+  for (const setup of chain.setups) {
+    const translation = await getCachedTranslation(
+      await getSetupCacheKey(setup, text, contextPosts),
+    );
+    if (translation !== null) {
+      return toPostTranslation(translation, setup, chain);
+    }
+  }
+  return null;
+}
 
-  if (data.choices && data.choices.length) {
-    return data.choices[0].message.content.trim();
+/**
+ * Counts translated posts towards the usage of the provider. The characters
+ * and tokens are counted as each request is sent. A failure to count is
+ * logged and doesn't fail the translation.
+ * @param {TranslationSetup} setup - The provider that translated the posts.
+ * @param {number} translations - Number of posts translated.
+ * @returns {Promise<void>}
+ */
+async function countUsage(setup, translations) {
+  try {
+    await recordUsage(setup.provider.id, { translations });
+  } catch (error) {
+    console.error("BabbelSky: Failed to record usage.", error);
   }
-  throw new Error("OpenAI translation failed. Data returned:", data);
 }
 
 /**
- * Translates text using Google Translate's API.
- * @param {string} text - Text to translate.
- * @param {string} apiKey - Google Translate API key.
- * @param {string} targetLanguage - Target language code.
- * @returns {Promise<string>} - Translated text.
+ * Runs a translation with each provider of the chain in turn, until one succeeds.
+ * Moves on to the next provider only on quota, authentication, rate limit,
+ * server and network failures; other errors are thrown straight away.
+ * @param {TranslationChain} chain - The fallback chain.
+ * @param {function(TranslationSetup): Promise<*>} translate - Runs the translation with a provider.
+ * @returns {Promise<*>} - The result of the first provider that succeeded.
  */
-async function translateWithGoogle(text, apiKey, targetLanguage) {
-  const encodedText = encodeURIComponent(text);
-  const url = `https://translation.googleapis.com/language/translate/v2?key=${apiKey}&q=${encodedText}&target=${targetLanguage}`;
+async function withFallback(chain, translate) {
+  let lastError = null;
+  for (const setup of chain.setups) {
+    try {
+      return await translate(setup);
+    } catch (error) {
+      if (!fallbackErrorCodes.has(error.code)) {
+        throw error;
+      }
+      console.warn(
+        `BabbelSky: ${setup.provider.name} failed, trying the next translation service.`,
+        error,
+      );
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
 
-  const data = await rateLimitedApiCall(url, {
-    method: "GET",
+/**
+ * Translates a single post using the selected translation service.
+ * @param {string} post - The post text to translate.
+ * @param {Object} [options] - Translation options.
+ * @param {boolean} [options.auto=false] - Whether the post is translated automatically
+ *   as it scrolls into view, which counts against the per-session budget.
+ * @param {string|null} [options.sourceLanguage=null] - Language code detected on the page, if any.
+ * @param {string|null} [options.providerId=null] - A provider to use instead of the fallback chain.
+ * @returns {Promise<PostTranslation>} - The translated post.
+ * @throws {TranslationError} - With code LANGUAGE_NEVER_TRANSLATED if the post is
+ *   translated automatically and the user never translates its language.
+ */
+async function translatePost(
+  post,
+  { auto = false, sourceLanguage = null, providerId = null } = {},
+) {
+  const [translation] = await translatePosts([{ text: post, sourceLanguage }], {
+    auto,
+    providerId,
   });
+  if (!translation) {
+    throw new TranslationError(
+      `Posts in ${getLanguageName(sourceLanguage) || sourceLanguage} are never translated automatically.`,
+      { code: TranslationErrorCode.LANGUAGE_NEVER_TRANSLATED },
+    );
+  }
+  return translation;
+}
 
-  if (data.data && data.data.translations && data.data.translations.length) {
-    return data.data.translations[0].translatedText;
+/**
+ * Translates several posts following the user's language rules: posts in a
+ * language with its own target language are translated into it, and posts
+ * in a language the user never translates are skipped when translated
+ * automatically.
+ * @param {Array<{text: string, sourceLanguage: string|null}>} posts - The posts
+ *   to translate, with the language code detected on the page, if any.
+ * @param {Object} [options] - Translation options, see translatePostsTo().
+ * @returns {Promise<Array<PostTranslation|null>>} - The translated posts, in the order
+ *   of the posts, or null for posts skipped by a rule or left out because the automatic
+ *   translation budget ran out.
+ * @throws {TranslationError} - With code AUTO_TRANSLATE_BUDGET_EXCEEDED if the budget
+ *   ran out before any post was translated.
+ */
+async function translatePosts(posts, options = {}) {
+  const { languageRules = {} } = await getStorage(["languageRules"]);
+
+  // Posts are sent together per target language
+  const groups = new Map();
+  posts.forEach((post, index) => {
+    const rule = getLanguageRule(languageRules, post.sourceLanguage);
+    if (options.auto && rule && rule.action === "never") {
+      return;
+    }
+    const targetLanguage =
+      options.targetLanguage ||
+      (rule && rule.action === "target" ? rule.targetLanguage : null);
+    const group = groups.get(targetLanguage) || [];
+    group.push(index);
+    groups.set(targetLanguage, group);
+  });
+
+  const translations = posts.map(() => null);
+  let budgetError = null;
+  for (const [targetLanguage, indexes] of groups) {
+    let groupTranslations = null;
+    try {
+      groupTranslations = await translatePostsTo(
+        indexes.map((index) => posts[index]),
+        { ...options, targetLanguage },
+      );
+    } catch (error) {
+      // Keep the groups translated before the budget ran out
+      if (error.code !== TranslationErrorCode.AUTO_TRANSLATE_BUDGET_EXCEEDED) {
+        throw error;
+      }
+      budgetError = error;
+      continue;
+    }
+    indexes.forEach((index, i) => {
+      translations[index] = groupTranslations[i];
+    });
+  }
+  if (budgetError && translations.every((translation) => !translation)) {
+    throw budgetError;
   }
-  throw new Error("Google Translate API translation failed.");
+  return translations;
+}
+
+/**
+ * Translates several posts into one target language using the selected
+ * translation service, falling back along the chain if it fails.
+ * Cached posts are served from the cache; the others are sent in one batch
+ * if the provider supports it, or one at a time otherwise.
+ * @param {Array<{text: string, sourceLanguage: string|null}>} posts - The posts
+ *   to translate, with the language code detected on the page, if any.
+ * @param {Object} [options] - Translation options.
+ * @param {boolean} [options.auto=false] - Whether the posts are translated automatically
+ *   as they scroll into view, which counts against the per-session budget.
+ * @param {string|null} [options.providerId=null] - A provider to use instead of the fallback chain.
+ * @param {string[]} [options.contextPosts=[]] - Earlier posts of the thread, given to
+ *   the provider for context when a whole thread is translated.
+ * @param {string|null} [options.targetLanguage=null] - A language to translate to instead
+ *   of the target language, e.g. for a draft written in the composer.
+ * @returns {Promise<Array<PostTranslation|null>>} - The translated posts, in the order of the
+ *   posts, or null for posts automatic translation left out because the budget ran out.
+ */
+async function translatePostsTo(
+  posts,
+  {
+    auto = false,
+    providerId = null,
+    contextPosts = [],
+    targetLanguage = null,
+  } = {},
+) {
+  const chain = await getTranslationChain({ providerId, targetLanguage });
+
+  // Serve repeated translations from the cache instead of calling the provider again
+  const translations = [];
+  for (const post of posts) {
+    translations.push(
+      await getChainCachedTranslation(chain, post.text, contextPosts),
+    );
+  }
+  let uncached = posts
+    .map((post, index) => index)
+    .filter((index) => translations[index] === null);
+  if (!uncached.length) {
+    return translations;
+  }
+
+  if (auto) {
+    // Posts beyond the budget are left untranslated
+    const allowed = await consumeAutoTranslateBudget(
+      chain.settings.autoTranslateBudget ?? defaultAutoTranslateBudget,
+      uncached.length,
+    );
+    uncached = uncached.slice(0, allowed);
+  }
+
+  await withFallback(chain, async (setup) => {
+    const { provider, context } = setup;
+    let results = [];
+    if (provider.translateBatch && uncached.length > 1) {
+      // A batch shares one prompt, so a source language is only given if all posts share it
+      const sourceLanguages = new Set(
+        uncached.map((index) => posts[index].sourceLanguage),
+      );
+      const sourceLanguage =
+        sourceLanguages.size === 1 ? Array.from(sourceLanguages)[0] : null;
+      results = await provider.translateBatch(
+        uncached.map((index) => posts[index].text),
+        {
+          ...context,
+          sourceLanguage,
+          sourceLanguageName: getLanguageName(sourceLanguage),
+          contextPosts,
+        },
+      );
+    } else {
+      for (const index of uncached) {
+        const { text, sourceLanguage } = posts[index];
+        results.push(
+          await provider.translate(text, {
+            ...context,
+            sourceLanguage,
+            sourceLanguageName: getLanguageName(sourceLanguage),
+            contextPosts,
+          }),
+        );
+      }
+    }
+
+    for (let i = 0; i < uncached.length; i++) {
+      const index = uncached[i];
+      const translation = normalizeTranslationResult(
+        results[i],
+        posts[index].sourceLanguage,
+      );
+      await setCachedTranslation(
+        await getSetupCacheKey(setup, posts[index].text, contextPosts),
+        translation,
+      );
+      translations[index] = toPostTranslation(translation, setup, chain);
+    }
+    await countUsage(setup, uncached.length);
+  });
+
+  return translations;
+}
+
+/**
+ * Translates a single post, reporting the translation as it is generated if
+ * the provider supports streaming. Other providers report it in one piece.
+ * If a provider fails, onStart is called again for the next provider of the
+ * chain, which starts the translation over. A post in a language with its own
+ * target language is translated into it.
+ * @param {string} post - The post text to translate.
+ * @param {Object} options - Translation options.
+ * @param {string|null} options.sourceLanguage - Language code detected on the page, if any.
+ * @param {string|null} options.providerId - A provider to use instead of the fallback chain.
+ * @param {function(PostTranslation): void} options.onStart - Called when a provider starts translating.
+ * @param {function(string): void} options.onChunk - Called with each piece of the translation.
+ * @param {AbortSignal} options.signal - Cancels the translation.
+ * @returns {Promise<PostTranslation>} - The complete translated post.
+ */
+async function translatePostStream(
+  post,
+  { sourceLanguage, providerId, onStart, onChunk, signal },
+) {
+  const { languageRules = {} } = await getStorage(["languageRules"]);
+  const rule = getLanguageRule(languageRules, sourceLanguage);
+  const chain = await getTranslationChain({
+    providerId,
+    targetLanguage:
+      rule && rule.action === "target" ? rule.targetLanguage : null,
+  });
+
+  const cachedTranslation = await getChainCachedTranslation(chain, post);
+  if (cachedTranslation !== null) {
+    return cachedTranslation;
+  }
+
+  const sourceLanguageName = getLanguageName(sourceLanguage);
+  return withFallback(chain, async (setup) => {
+    const { provider, context } = setup;
+    const sourceContext = { ...context, sourceLanguage, sourceLanguageName };
+    onStart(toPostTranslation({ text: "", sourceLanguage }, setup, chain));
+
+    const result = provider.translateStream
+      ? await provider.translateStream(post, sourceContext, { onChunk, signal })
+      : await provider.translate(post, sourceContext);
+
+    const translation = normalizeTranslationResult(result, sourceLanguage);
+    await setCachedTranslation(
+      await getSetupCacheKey(setup, post),
+      translation,
+    );
+    await countUsage(setup, 1);
+    return toPostTranslation(translation, setup, chain);
+  });
 }
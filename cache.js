@@ -0,0 +1,220 @@
+// cache.js
+
+/**
+ * @fileoverview
+ * Persistent translation cache for the BabbelSky extension.
+ * Translations are stored in chrome.storage.local, keyed by a hash of the
+ * post text, target language, provider and prompt version. Entries expire
+ * after a TTL and the least recently used ones are evicted above a size cap.
+ * All entries are kept in one storage value, so every change goes through a
+ * queue to keep concurrent translations from overwriting each other's entries.
+ */
+
+import { getLocalStorage, setLocalStorage } from "./utils.js";
+
+/**
+ * chrome.storage.local key holding the cache entries.
+ * @type {string}
+ */
+const CACHE_STORAGE_KEY = "translationCache";
+
+/**
+ * Maximum number of cached translations.
+ * @type {number}
+ */
+const CACHE_MAX_ENTRIES = 500;
+
+/**
+ * Maximum total length, in characters, of the cached translations. Kept
+ * well below the storage.local quota, since a CJK character takes three
+ * bytes once stored.
+ * @type {number}
+ */
+const CACHE_MAX_CHARACTERS = 250000;
+
+/**
+ * Time after which a cached translation expires (7 days).
+ * @type {number}
+ */
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CachedTranslation
+ * @property {string} text - The translated text.
+ * @property {string|null} sourceLanguage - Code of the language translated from, if known.
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {CachedTranslation|string} value - The cached translation. Entries stored
+ *   before source languages were recorded hold the translated text only.
+ * @property {number} createdAt - When the entry was stored.
+ * @property {number} lastUsedAt - When the entry was last stored or read.
+ */
+
+/**
+ * Serializes changes to the stored entries.
+ * @type {Promise<void>}
+ */
+let cacheQueue = Promise.resolve();
+
+/**
+ * Runs a task once every earlier change to the cache has finished.
+ * @template T
+ * @param {function(): Promise<T>} task - Reads, changes and writes the entries.
+ * @returns {Promise<T>} - The task's result.
+ */
+function withCacheLock(task) {
+  const result = cacheQueue.then(task);
+  cacheQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Reads the cache entries from storage.
+ * @returns {Promise<Object<string, CacheEntry>>} - Entries keyed by cache key.
+ */
+async function readEntries() {
+  const items = await getLocalStorage([CACHE_STORAGE_KEY]);
+  return items[CACHE_STORAGE_KEY] || {};
+}
+
+/**
+ * Returns the length, in characters, of a cached translation.
+ * @param {CacheEntry} entry - The cache entry.
+ * @returns {number} - The length of the translated text.
+ */
+function getEntryLength(entry) {
+  return typeof entry.value === "string"
+    ? entry.value.length
+    : entry.value.text.length;
+}
+
+/**
+ * Removes expired entries, then evicts the least recently used entries
+ * until the cache is within its size caps.
+ * @param {Object<string, CacheEntry>} entries - The cache entries, modified in place.
+ * @param {number} now - The current time.
+ */
+function pruneEntries(entries, now) {
+  let totalCharacters = 0;
+
+  Object.keys(entries).forEach((key) => {
+    if (now - entries[key].createdAt > CACHE_TTL_MS) {
+      delete entries[key];
+    } else {
+      totalCharacters += getEntryLength(entries[key]);
+    }
+  });
+
+  const keysByLastUse = Object.keys(entries).sort(
+    (a, b) => entries[a].lastUsedAt - entries[b].lastUsedAt,
+  );
+  let entryCount = keysByLastUse.length;
+  for (const key of keysByLastUse) {
+    if (
+      entryCount <= CACHE_MAX_ENTRIES &&
+      totalCharacters <= CACHE_MAX_CHARACTERS
+    ) {
+      break;
+    }
+    totalCharacters -= getEntryLength(entries[key]);
+    entryCount--;
+    delete entries[key];
+  }
+}
+
+/**
+ * Computes the cache key of a translation.
+ * @param {Object} params - What the translation depends on.
+ * @param {string} params.text - The original text.
+ * @param {string} params.targetLanguage - The target language code.
+ * @param {string} params.providerId - The translation provider ID.
+ * @param {string} params.promptVersion - Serialized provider settings that affect the output.
+ * @param {string[]} [params.contextPosts=[]] - Earlier posts of the thread sent as context.
+ * @returns {Promise<string>} - Hex encoded SHA-256 hash.
+ */
+async function getCacheKey({
+  text,
+  targetLanguage,
+  providerId,
+  promptVersion,
+  contextPosts = [],
+}) {
+  const encoder = new TextEncoder();
+  const parts = [text, targetLanguage, providerId, promptVersion];
+  // Translations made without context keep the keys they had before context existed
+  if (contextPosts.length) {
+    parts.push(contextPosts);
+  }
+  const data = encoder.encode(JSON.stringify(parts));
+  const hash = await globalThis.crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(hash))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Returns a cached translation and marks it as recently used.
+ * @param {string} key - The cache key.
+ * @returns {Promise<CachedTranslation|null>} - The translation, or null if not cached or expired.
+ */
+function getCachedTranslation(key) {
+  return withCacheLock(async () => {
+    const entries = await readEntries();
+    const entry = entries[key];
+    const now = Date.now();
+
+    if (!entry || now - entry.createdAt > CACHE_TTL_MS) {
+      return null;
+    }
+
+    entry.lastUsedAt = now;
+    await setLocalStorage({ [CACHE_STORAGE_KEY]: entries });
+    return typeof entry.value === "string"
+      ? { text: entry.value, sourceLanguage: null }
+      : entry.value;
+  });
+}
+
+/**
+ * Stores a translation in the cache.
+ * @param {string} key - The cache key.
+ * @param {CachedTranslation} value - The translation.
+ * @returns {Promise<void>}
+ */
+function setCachedTranslation(key, value) {
+  return withCacheLock(async () => {
+    const entries = await readEntries();
+    const now = Date.now();
+
+    entries[key] = { value, createdAt: now, lastUsedAt: now };
+    pruneEntries(entries, now);
+    await setLocalStorage({ [CACHE_STORAGE_KEY]: entries });
+  });
+}
+
+/**
+ * Removes every cached translation.
+ * @returns {Promise<void>}
+ */
+function clearTranslationCache() {
+  return withCacheLock(() => setLocalStorage({ [CACHE_STORAGE_KEY]: {} }));
+}
+
+/**
+ * Returns the number of cached translations.
+ * @returns {Promise<number>} - The number of entries.
+ */
+async function getTranslationCacheSize() {
+  const entries = await readEntries();
+  return Object.keys(entries).length;
+}
+
+export {
+  getCacheKey,
+  getCachedTranslation,
+  setCachedTranslation,
+  clearTranslationCache,
+  getTranslationCacheSize,
+};
@@ -3,10 +3,17 @@
 /**
  * @fileoverview
  * Content script for BabbelSky extension.
- * Overrides the default behavior of the translation button on Bluesky posts.
- * Extracts the text from the active main post and sends it for translation.
+ * Overrides the default behavior of the translation button on Bluesky posts,
+ * and adds a BabbelSky translate button to posts in threads and feeds.
+ * Extracts the text from the post and sends it for translation.
  */
 (function () {
+  // The script may be injected again, e.g. to show a selection translation
+  if (globalThis.babbelSkyContentScriptLoaded) {
+    return;
+  }
+  globalThis.babbelSkyContentScriptLoaded = true;
+
   /**
    * Labels used to identify the translation button in different languages.
    * Extend this array if Bluesky supports more languages.
@@ -38,8 +45,245 @@
     "翻譯",
   ]; // Add more as needed (Currentlty Thai button is still "Translate")
 
+  /**
+   * Selector matching any of the "Translate" buttons.
+   * @type {string}
+   */
+  const translateButtonSelector = translationButtonLabels
+    .map((label) => `a[aria-label="${label}"]`)
+    .join(", ");
+
+  /**
+   * Selector matching the posts BabbelSky can translate: thread items, and
+   * feed items in the Following feed, custom feeds and profile post lists.
+   * @type {string}
+   */
+  const postSelector =
+    '[data-testid^="postThreadItem-by-"], [data-testid^="feedItem-by-"]';
+
+  /**
+   * Selector matching the posts of a thread page: the root, the parents and the replies.
+   * @type {string}
+   */
+  const threadItemSelector = '[data-testid^="postThreadItem-by-"]';
+
+  /**
+   * Number of thread posts sent per request when translating a whole thread,
+   * so progress can be shown as the thread is translated.
+   * @type {number}
+   */
+  const threadBatchSize = 10;
+
+  /**
+   * Number of earlier posts sent as context with each part of a thread.
+   * @type {number}
+   */
+  const threadContextSize = 5;
+
+  /**
+   * Selector matching the display name in a profile header.
+   * @type {string}
+   */
+  const profileDisplayNameSelector = '[data-testid="profileHeaderDisplayName"]';
+
+  /**
+   * Selector matching the description (bio) in a profile header.
+   * @type {string}
+   */
+  const profileDescriptionSelector = '[data-testid="profileHeaderDescription"]';
+
+  /**
+   * A translated profile header.
+   * @typedef {Object} ProfileTranslation
+   * @property {string|null} displayName - The translated display name, if the profile has one.
+   * @property {{text: string, facets: PostSegment[]}|null} description - The translated
+   *   description with placeholders and its facets, if the profile has one.
+   * @property {string} label - Attribution, e.g. "Translated from Japanese by DeepL".
+   */
+
+  /**
+   * Translations of profile headers, keyed by profile key, so they can be
+   * restored when Bluesky re-renders the header.
+   * @type {Map<string, ProfileTranslation>}
+   */
+  const profileTranslations = new Map();
+
+  /**
+   * Whether a whole thread is being translated.
+   * @type {boolean}
+   */
+  let threadTranslationRunning = false;
+
+  /**
+   * Selector matching the text editor of Bluesky's post composer.
+   * @type {string}
+   */
+  const composerSelector = '.ProseMirror[contenteditable="true"]';
+
+  /**
+   * Bluesky's post length limit, in graphemes.
+   * @type {number}
+   */
+  const maxPostGraphemes = 300;
+
+  /**
+   * How long after clicking a post's reply button the composer that opens
+   * is taken to be a reply to that post.
+   * @type {number}
+   */
+  const replyComposerDelay = 10000;
+
+  /**
+   * Languages a draft can be translated to, loaded once from the background script.
+   * @type {Promise<Array<{name: string, code: string}>>|null}
+   */
+  let composerLanguages = null;
+
+  /**
+   * Alternative language codes (e.g. "iw", "nb", "zh-Hans") mapped to the
+   * codes BabbelSky uses, loaded from languages.js through the background
+   * script so language rules match here as they do there.
+   * @type {Object<string, string>}
+   */
+  let languageCodeAliases = {};
+
+  /**
+   * Language the user last translated a draft to.
+   * @type {string|null}
+   */
+  let lastComposerLanguage = null;
+
+  /**
+   * Language of the post the user last clicked the reply button of.
+   * @type {{language: string|null, time: number}|null}
+   */
+  let replyLanguage = null;
+
   let detectedLanguage = null; // Placeholder for detected language
 
+  /**
+   * Settings the content script depends on, kept in sync with storage.
+   * translationDisplay is "below", "replace" or "sideBySide". paused is set
+   * from the toolbar popup and hands translation back to Bluesky.
+   * languageRules holds what to do with posts in each source language, keyed
+   * by language code: {action: "never"|"auto"|"target", targetLanguage}.
+   * @type {{translationService: string|null, paused: boolean, targetLanguage: string, translationDisplay: string, readLanguages: string[], languageRules: Object<string, {action: string, targetLanguage: string}>, autoTranslate: boolean, threadContext: boolean}}
+   */
+  const settings = {
+    translationService: null,
+    paused: false,
+    targetLanguage: "en",
+    translationDisplay: "below",
+    readLanguages: [],
+    languageRules: {},
+    autoTranslate: false,
+    threadContext: false,
+  };
+
+  /**
+   * Keys of the posts that were translated automatically, so each is only requested once.
+   * @type {Set<string>}
+   */
+  const autoTranslatedPosts = new Set();
+
+  /**
+   * Whether automatic translation stopped because the session budget ran out.
+   * @type {boolean}
+   */
+  let autoTranslateBudgetExceeded = false;
+
+  /**
+   * Posts waiting to be translated automatically, sent together in one batch.
+   * @type {HTMLElement[]}
+   */
+  let pendingAutoTranslations = [];
+
+  /**
+   * Timer that sends the pending automatic translations.
+   * @type {number|null}
+   */
+  let autoTranslateTimer = null;
+
+  /**
+   * How long to collect posts scrolling into view before translating them together.
+   * @type {number}
+   */
+  const autoTranslateBatchDelay = 500;
+
+  /**
+   * Observes posts scrolling into view when automatic translation is enabled.
+   * @type {IntersectionObserver}
+   */
+  const autoTranslateObserver = new IntersectionObserver(
+    handlePostIntersections,
+    { threshold: 0.5 },
+  );
+
+  /**
+   * A translation inserted into the page.
+   * @typedef {Object} PostTranslation
+   * @property {string} text - The translated text, with placeholders for the facets.
+   * @property {PostSegment[]} facets - The mentions, links, hashtags and emoji of the post.
+   * @property {string} label - Attribution shown above it, e.g. "Translated from Japanese by DeepL".
+   * @property {boolean} showOriginal - Whether the user toggled back to the original.
+   */
+
+  /**
+   * Translations inserted into the page, keyed by post key, so they can be
+   * restored when Bluesky re-renders a post.
+   * @type {Map<string, PostTranslation>}
+   */
+  const translations = new Map();
+
+  /**
+   * Translations of the quoted posts, image ALT texts and link cards of
+   * posts, keyed by post key, so they can be restored when Bluesky re-renders a post.
+   * @type {Map<string, EmbedTranslation[]>}
+   */
+  const embedTranslations = new Map();
+
+  /**
+   * Plain-words causes shown in the error card, by error code.
+   * @type {Object<string, string>}
+   */
+  const errorCauses = {
+    NO_SERVICE_SELECTED: "No translation service is selected.",
+    MISSING_API_KEY: "No API key is configured for the translation service.",
+    DECRYPTION_FAILED: "Your saved API key could not be decrypted.",
+    INVALID_API_KEY: "The translation service rejected your API key.",
+    QUOTA_EXCEEDED: "Your translation service quota is used up.",
+    RATE_LIMITED: "The translation service is receiving too many requests.",
+    SERVER_ERROR: "The translation service is having problems.",
+    NETWORK_ERROR:
+      "The translation service could not be reached. Check your connection.",
+    HOST_PERMISSION_DENIED:
+      "BabbelSky is not allowed to reach your translation server.",
+    UNSUPPORTED_LANGUAGE:
+      "The translation service does not support this language.",
+    USAGE_CAP_REACHED:
+      "This would go over the monthly limit you set for the translation service.",
+    LANGUAGE_NEVER_TRANSLATED:
+      "You chose to never translate posts in this language automatically.",
+    EXTENSION_UNAVAILABLE:
+      "BabbelSky is not responding. Reload the page if this keeps happening.",
+  };
+
+  /**
+   * How long to wait before sending a request again when the background
+   * service worker didn't answer, giving the browser time to restart it.
+   * @type {number}
+   */
+  const backgroundRetryDelay = 1000;
+
+  /**
+   * Whether BabbelSky translates posts: a translation service is selected
+   * and BabbelSky isn't paused.
+   * @returns {boolean} - True if BabbelSky is enabled.
+   */
+  function isEnabled() {
+    return !!settings.translationService && !settings.paused;
+  }
+
   /**
    * Selects the "Translate" button based on predefined labels.
    * @returns {HTMLElement|null} - The "Translate" button element or null if not found.
@@ -77,200 +321,2718 @@
   }
 
   /**
-   * Extracts text from the post containing the provided "Translate" button.
-   * @param {HTMLElement} translateButton - The "Translate" button element.
-   * @returns {string|null} - The extracted post text or null if not found.
+   * Sends a message to the background script. The background service worker
+   * may be asleep or restarting, so a message that gets no answer is sent
+   * once more before giving up.
+   * @param {Object} message - The message to send.
+   * @param {boolean} [retried=false] - Whether this is the second attempt.
+   * @returns {Promise<Object>} - Promise resolving to the response.
    */
-  function extractPostText(translateButton) {
-    if (!translateButton) {
-      console.warn('BabbelSky: "Translate" button not found.');
-      return null;
-    }
+  function sendMessage(message, retried = false) {
+    return new Promise((resolve, reject) => {
+      const retryOrReject = (error) => {
+        if (retried) {
+          console.error("BabbelSky: Background script unavailable.", error);
+          reject(createUnavailableError());
+          return;
+        }
+        setTimeout(() => {
+          sendMessage(message, true).then(resolve, reject);
+        }, backgroundRetryDelay);
+      };
 
-    // Traverse up the DOM to find the parent post element
-    const postElement = translateButton.closest(
-      '[data-testid^="postThreadItem-by-"]',
-    );
-    if (!postElement) {
-      console.warn("BabbelSky: Could not locate the parent post element.");
-      return null;
-    }
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          if (chrome.runtime.lastError) {
+            retryOrReject(chrome.runtime.lastError);
+          } else if (response === undefined) {
+            retryOrReject(new Error("No response from background script."));
+          } else {
+            resolve(response);
+          }
+        });
+      } catch (error) {
+        // Thrown when the extension was reloaded or updated under the page
+        retryOrReject(error);
+      }
+    });
+  }
 
-    // Extract the text from the designated div within the post
-    const textElement = postElement.querySelector('[data-word-wrap="1"]');
-    if (textElement) {
-      const postText = textElement.textContent.trim();
-      return postText;
+  /**
+   * Builds the error shown when the background script can't be reached.
+   * @returns {{error: string, code: string}} - The error response.
+   */
+  function createUnavailableError() {
+    return {
+      error: "The BabbelSky background service did not respond.",
+      code: "EXTENSION_UNAVAILABLE",
+    };
+  }
+
+  /**
+   * Finds the post containing the provided element.
+   * @param {HTMLElement} element - An element within the post.
+   * @returns {HTMLElement|null} - The post element or null if not found.
+   */
+  function getPostElement(element) {
+    return element ? element.closest(postSelector) : null;
+  }
+
+  /**
+   * Finds the text element of a post.
+   * @param {HTMLElement} postElement - The post element.
+   * @returns {HTMLElement|null} - The text element or null if the post has no text.
+   */
+  function getTextElement(postElement) {
+    return postElement.querySelector('[data-word-wrap="1"]');
+  }
+
+  /**
+   * Returns a key identifying a post across re-renders: the link to the post
+   * (if rendered) together with the post text.
+   * @param {HTMLElement} postElement - The post element.
+   * @returns {string|null} - The post key or null if the post has no text.
+   */
+  function getPostKey(postElement) {
+    const textElement = getTextElement(postElement);
+    if (!textElement) {
+      return null;
     }
-    console.warn("BabbelSky: No text element found within the post.");
-    return null;
+    const postLink = postElement.querySelector('a[href*="/post/"]');
+    const href = postLink ? postLink.getAttribute("href") : "";
+    return `${href}\n${textElement.textContent.trim()}`;
   }
 
   /**
-   * Handles the click event on the "Translate" button.
-   * Prevents the default action, extracts post text, and sends it for translation.
-   * @param {Event} event - The click event object.
+   * Matches a run of emoji, including skin tones, flags and ZWJ sequences.
+   * @type {RegExp}
    */
-  function handleTranslateButtonClick(event) {
-    // Extract the "Translate" button that was clicked
-    const translateButton = event.currentTarget;
+  const emojiPattern =
+    /(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:\u200d|\ufe0f|\u20e3|\p{Emoji_Modifier}|\p{Extended_Pictographic}|\p{Regional_Indicator}|[\u{e0020}-\u{e007f}])*/gu;
 
-    // Prevent the default translation behavior immediately
-    event.preventDefault();
-    event.stopImmediatePropagation();
+  /**
+   * Matches a placeholder standing in for a facet in a translation.
+   * Must match the format in placeholders.js.
+   * @type {RegExp}
+   */
+  const placeholderPattern = /(⟦\d+⟧)/;
 
-    // Check if a translation service is selected
-    getStorage(["translationService"]).then((result) => {
-      const selectedService = result.translationService;
-      if (!selectedService) {
-        // Allow default Bluesky behavior to proceed
-        if (translateButton) {
-          translateButton.removeEventListener(
-            "click",
-            handleTranslateButtonClick,
-            true,
-          );
-          translateButton.click();
-          translateButton.addEventListener(
-            "click",
-            handleTranslateButtonClick,
-            true,
-          );
-        }
-        return;
-      }
+  /**
+   * A part of a post. Everything but text is kept out of the translation.
+   * @typedef {Object} PostSegment
+   * @property {string} type - "text", "mention", "link", "tag" or "emoji".
+   * @property {string} text - The text shown in the post.
+   * @property {string|null} href - Where the segment links to, if it is a link.
+   */
 
-      let postText = null;
+  /**
+   * A post prepared for translation.
+   * @typedef {Object} PostContent
+   * @property {string} text - The post text, with a placeholder such as ⟦0⟧ for each facet.
+   * @property {PostSegment[]} facets - The segments kept out of the translation, by placeholder number.
+   */
 
-      try {
-        // Extract the post text from the associated post
-        postText = extractPostText(translateButton);
+  /**
+   * Splits text into text and emoji segments.
+   * @param {string} text - The text.
+   * @returns {PostSegment[]} - The segments.
+   */
+  function splitEmoji(text) {
+    const segments = [];
+    let index = 0;
+    for (const match of text.matchAll(emojiPattern)) {
+      if (match.index > index) {
+        segments.push({
+          type: "text",
+          text: text.slice(index, match.index),
+          href: null,
+        });
+      }
+      segments.push({ type: "emoji", text: match[0], href: null });
+      index = match.index + match[0].length;
+    }
+    if (index < text.length) {
+      segments.push({ type: "text", text: text.slice(index), href: null });
+    }
+    return segments;
+  }
 
-        if (!postText) {
-          console.warn("BabbelSky: No post text found to translate.");
-          return;
+  /**
+   * Classifies a link in a post as a mention, hashtag or link.
+   * @param {HTMLAnchorElement} linkElement - The link element.
+   * @returns {PostSegment} - The segment.
+   */
+  function getLinkSegment(linkElement) {
+    const text = linkElement.textContent;
+    const href = linkElement.getAttribute("href");
+    let type = "link";
+    if (text.startsWith("@")) {
+      type = "mention";
+    } else if (text.startsWith("#") || (href || "").includes("/hashtag/")) {
+      type = "tag";
+    }
+    return { type, text, href };
+  }
+
+  /**
+   * Splits the text element of a post into segments: text, and the
+   * mentions, links, hashtags and emoji Bluesky rendered in it.
+   * @param {HTMLElement} textElement - The text element.
+   * @returns {PostSegment[]} - The segments, in order.
+   */
+  function getPostSegments(textElement) {
+    const segments = [];
+    const addSegments = (node) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          segments.push(...splitEmoji(child.textContent));
+        } else if (child.nodeName === "A") {
+          segments.push(getLinkSegment(child));
+        } else if (child.nodeName === "BR") {
+          segments.push({ type: "text", text: "\n", href: null });
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          addSegments(child);
         }
+      });
+    };
+    addSegments(textElement);
+    return segments;
+  }
 
-        // Send the post text to the background script for translation
-        chrome.runtime.sendMessage(
-          { action: "translatePost", post: postText },
-          (response) => {
-            if (response && response.translatedPost) {
-              // Inject the translated text into the DOM
-              addTranslatedText(translateButton, response.translatedPost);
-            } else if (response && response.error) {
-              console.error("BabbelSky: Translation Error:", response.error);
-              alert(`BabbelSky Translation Error: ${response.error}`);
-            } else {
-              console.warn(
-                "BabbelSky: Unexpected response from background script.",
-              );
-            }
-          },
-        );
-      } catch (error) {
-        console.error("BabbelSky: Unexpected error occurred.", error);
-      }
-    });
+  /**
+   * Joins segments into the text sent for translation, replacing every
+   * segment that is not text with a numbered placeholder.
+   * @param {PostSegment[]} segments - The segments.
+   * @returns {PostContent} - The text and its facets.
+   */
+  function encodePostSegments(segments) {
+    const facets = [];
+    const text = segments
+      .map((segment) => {
+        if (segment.type === "text") {
+          return segment.text;
+        }
+        facets.push(segment);
+        return `⟦${facets.length - 1}⟧`;
+      })
+      .join("");
+    return { text: text.trim(), facets };
   }
+
   /**
-   * Adds the translated text below the original post text.
-   * @param {HTMLElement} translateButton - The "Translate" button element.
-   * @param {string} translatedText - The translated text to display.
+   * Extracts the content of the post containing the provided element.
+   * @param {HTMLElement} translateButton - The "Translate" button element, or any element within the post.
+   * @returns {PostContent|null} - The extracted post content or null if not found.
    */
-  function addTranslatedText(translateButton, translatedText) {
+  function extractPostContent(translateButton) {
     if (!translateButton) {
-      console.warn('BabbelSky: "Translate" button not provided.');
-      return;
+      console.warn('BabbelSky: "Translate" button not found.');
+      return null;
     }
 
     // Traverse up the DOM to find the parent post element
-    const postElement = translateButton.closest(
-      '[data-testid^="postThreadItem-by-"]',
-    );
+    const postElement = getPostElement(translateButton);
     if (!postElement) {
       console.warn("BabbelSky: Could not locate the parent post element.");
-      return;
+      return null;
     }
 
-    // Extract the text element within the post
-    const textElement = postElement.querySelector('[data-word-wrap="1"]');
-    if (!textElement) {
-      console.warn("BabbelSky: No text element found within the post.");
-      return;
+    // Extract the text from the designated div within the post
+    const textElement = getTextElement(postElement);
+    if (textElement) {
+      const content = encodePostSegments(getPostSegments(textElement));
+      return content.text ? content : null;
     }
+    console.warn("BabbelSky: No text element found within the post.");
+    return null;
+  }
 
-    // Create a new paragraph element for the translated text
-    const translatedTextElement = document.createElement("p");
-    translatedTextElement.className = "babbelsky-translated-text";
+  /**
+   * Selector matching the images of a post, whose ALT text is translated.
+   * @type {string}
+   */
+  const postImageSelector =
+    'img[src*="/img/feed_thumbnail/"], img[src*="/img/feed_fullsize/"]';
 
-    // Set the translated text
-    translatedTextElement.textContent = translatedText;
+  /**
+   * A part of a post translated along with its text: the body of a quoted
+   * post, the ALT text of an image, or the title or description of a link card.
+   * @typedef {Object} EmbedPiece
+   * @property {string} type - "quote", "alt" or "linkCard".
+   * @property {HTMLElement} element - The source element, which the translation is shown next to.
+   * @property {string} source - The original text, which identifies the piece across re-renders.
+   * @property {PostContent} content - The content to translate.
+   */
 
-    // Insert the translated text element after the original text element
-    textElement.parentNode.insertBefore(
-      translatedTextElement,
-      textElement.nextSibling,
+  /**
+   * A translated embed piece.
+   * @typedef {Object} EmbedTranslation
+   * @property {string} type - "quote", "alt" or "linkCard".
+   * @property {string} source - The original text.
+   * @property {string} text - The translated text, with placeholders for the facets.
+   * @property {PostSegment[]} facets - The mentions, links, hashtags and emoji of the original.
+   */
+
+  /**
+   * Finds the title and description of a link card, leaving out the line
+   * showing the link's domain.
+   * @param {HTMLAnchorElement} linkElement - The link card.
+   * @returns {HTMLElement[]} - The text elements.
+   */
+  function getLinkCardTextElements(linkElement) {
+    const hostname = linkElement.hostname.replace(/^www\./, "");
+    return Array.from(linkElement.querySelectorAll('[dir="auto"]')).filter(
+      (element) => {
+        const text = element.textContent.trim();
+        return (
+          text &&
+          !element.querySelector('[dir="auto"]') &&
+          !text.replace(/^www\./, "").startsWith(hostname)
+        );
+      },
     );
   }
+
   /**
-   * Initializes the content script by attaching the click event listener to the "Translate" button.
+   * Finds the embeds of a post that have text to translate: quoted posts,
+   * images with ALT text and external link cards.
+   * @param {HTMLElement} postElement - The post element.
+   * @returns {EmbedPiece[]} - The pieces to translate.
    */
-  function initialize() {
-    const translateButton = getTranslateButton();
+  function getEmbedPieces(postElement) {
+    const textElement = getTextElement(postElement);
+    const pieces = [];
 
-    if (translateButton) {
-      // Attach event listener to the "Translate" button
-      translateButton.addEventListener(
-        "click",
-        handleTranslateButtonClick,
-        true,
-      );
+    // Quoted posts render their text like the post's own text
+    postElement.querySelectorAll('[data-word-wrap="1"]').forEach((element) => {
+      const content =
+        element !== textElement && encodePostSegments(getPostSegments(element));
+      if (content && content.text) {
+        pieces.push({
+          type: "quote",
+          element,
+          source: element.textContent.trim(),
+          content,
+        });
+      }
+    });
 
-      // Mark the button to prevent duplicate listeners
-      translateButton.setAttribute("data-babbelsky-listener", "true");
-    } else {
-      console.warn(
-        'BabbelSky: "Translate" button not found on initialization.',
-      );
-    }
+    postElement.querySelectorAll(postImageSelector).forEach((element) => {
+      const source = (element.getAttribute("alt") || "").trim();
+      if (source) {
+        pieces.push({
+          type: "alt",
+          element,
+          source,
+          content: encodePostSegments(splitEmoji(source)),
+        });
+      }
+    });
+
+    postElement.querySelectorAll('a[href^="http"]').forEach((linkElement) => {
+      // Links within the text or a translation are facets, not link cards
+      if (
+        linkElement.closest(
+          '[data-word-wrap="1"], .babbelsky-translation, .babbelsky-embed-translation',
+        )
+      ) {
+        return;
+      }
+      getLinkCardTextElements(linkElement).forEach((element) => {
+        const source = element.textContent.trim();
+        pieces.push({
+          type: "linkCard",
+          element,
+          source,
+          content: encodePostSegments(splitEmoji(source)),
+        });
+      });
+    });
+
+    return pieces;
   }
 
   /**
-   * Observes the DOM for changes to dynamically attach event listeners to the "Translate" button.
+   * Returns the language of an embed piece, as for the post text.
+   * @param {EmbedPiece} piece - The piece.
+   * @returns {string|null} - The language code or null if unknown.
    */
+  function getEmbedLanguage(piece) {
+    return piece.type === "quote"
+      ? getElementLanguage(piece.element)
+      : detectLanguage(piece.source);
+  }
 
-  function observeTranslationButton() {
-    // Create a MutationObserver to watch for changes in the DOM
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === 1) {
-            // ELEMENT_NODE
-            let translateButton = null;
-            // Check if the node or its descendants match the detected translation button label
-            translateButton =
-              node.querySelector(`a[aria-label="${detectedLanguage}"]`) ||
-              (node.matches(`a[aria-label="${detectedLanguage}"]`)
-                ? node
-                : null);
-
-            if (
-              translateButton &&
-              !translateButton.hasAttribute("data-babbelsky-listener")
-            ) {
-              // Mark the button to prevent duplicate listeners
-              translateButton.setAttribute("data-babbelsky-listener", "true");
-              // Attach the event listener
-              translateButton.addEventListener(
-                "click",
-                handleTranslateButtonClick,
-                true,
-              );
+  /**
+   * Sends the embed pieces of a post for translation in a single request,
+   * and shows each translation next to its piece.
+   * Failures are only logged: the post's own translation reports errors.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {string} postKey - The post key.
+   * @param {EmbedPiece[]} pieces - The pieces to translate.
+   * @param {string|null} providerId - A provider to use instead of the configured ones.
+   */
+  function requestEmbedTranslations(postElement, postKey, pieces, providerId) {
+    const posts = pieces.map((piece) => ({
+      text: piece.content.text,
+      sourceLanguage: getEmbedLanguage(piece),
+    }));
+    sendMessage({ action: "translatePosts", posts, providerId })
+      .then((response) => {
+        if (response.translations) {
+          setEmbedTranslations(
+            postElement,
+            postKey,
+            pieces,
+            response.translations,
+          );
+        } else {
+          console.warn("BabbelSky: Embed translation failed:", response.error);
+        }
+      })
+      .catch((response) => {
+        console.warn("BabbelSky: Embed translation failed:", response.error);
+      });
+  }
+
+  /**
+   * Remembers the translations of the embed pieces of a post and shows them.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {string} postKey - The post key.
+   * @param {EmbedPiece[]} pieces - The translated pieces.
+   * @param {Array<Object|null>} responses - The translation responses, in the order of
+   *   the pieces, or null for pieces a language rule skipped.
+   */
+  function setEmbedTranslations(postElement, postKey, pieces, responses) {
+    embedTranslations.set(
+      postKey,
+      pieces.flatMap((piece, index) =>
+        responses[index]
+          ? [
+              {
+                type: piece.type,
+                source: piece.source,
+                text: responses[index].translatedPost,
+                facets: piece.content.facets,
+              },
+            ]
+          : [],
+      ),
+    );
+    const connectedPost = findConnectedPost(postElement, postKey);
+    if (connectedPost) {
+      renderEmbedTranslations(connectedPost);
+    }
+  }
+
+  /**
+   * Returns the element currently rendering a post. Bluesky may replace the
+   * element while a translation streams in, so the page is searched for
+   * another element with the same post key.
+   * @param {HTMLElement} postElement - The element the post was last seen in.
+   * @param {string} postKey - The post key.
+   * @returns {HTMLElement|null} - The post element, or null if the post was closed.
+   */
+  function findConnectedPost(postElement, postKey) {
+    if (postElement.isConnected) {
+      return postElement;
+    }
+    return (
+      Array.from(document.querySelectorAll(postSelector)).find(
+        (element) => getPostKey(element) === postKey,
+      ) || null
+    );
+  }
+
+  /**
+   * Extracts the text of the post containing the provided element and sends it for translation.
+   * The translation is streamed in over a port, and the stream is cancelled if the post is closed.
+   * @param {HTMLElement} translateButton - The button that requested the translation, or the post.
+   * @param {Object} [options] - Translation options.
+   * @param {string|null} [options.providerId=null] - A provider to use instead of the configured ones.
+   * @param {boolean} [options.retried=false] - Whether the stream was already restarted once
+   *   because the background script went away.
+   */
+  function requestTranslation(
+    translateButton,
+    { providerId = null, retried = false } = {},
+  ) {
+    let content = null;
+    let sourceLanguage = null;
+
+    try {
+      // Extract the post text from the associated post
+      content = extractPostContent(translateButton);
+
+      if (!content) {
+        console.warn("BabbelSky: No post text found to translate.");
+        return;
+      }
+      // Translating a post again shows the existing translation instead of a duplicate
+      const postElement = getPostElement(translateButton);
+      const postKey = postElement && getPostKey(postElement);
+      removeErrorCard(postElement);
+      if (postKey && translations.has(postKey)) {
+        const translation = translations.get(postKey);
+        translation.showOriginal = false;
+        renderTranslation(postElement, translation);
+        return;
+      }
+      sourceLanguage = getPostLanguage(postElement);
+
+      // Quoted posts, ALT texts and link cards are translated alongside the text
+      const pieces = getEmbedPieces(postElement);
+      if (pieces.length && !embedTranslations.has(postKey)) {
+        requestEmbedTranslations(postElement, postKey, pieces, providerId);
+      }
+
+      const retry = (post, options = {}) =>
+        requestTranslation(post, { providerId, ...options });
+
+      // Send the post text to the background script for translation
+      let port = null;
+      try {
+        port = chrome.runtime.connect({ name: "translatePostStream" });
+      } catch (error) {
+        // Thrown when the extension was reloaded or updated under the page
+        console.error("BabbelSky: Background script unavailable.", error);
+        showErrorCard(postElement, createUnavailableError(), retry);
+        return;
+      }
+      let currentPost = postElement;
+      let translation = null;
+      let finished = false;
+
+      port.onMessage.addListener((message) => {
+        currentPost = findConnectedPost(currentPost, postKey);
+        if (!currentPost) {
+          // The post was closed: cancel the stream
+          finished = true;
+          port.disconnect();
+          translations.delete(postKey);
+          return;
+        }
+
+        if (message.type === "start") {
+          translation = {
+            text: "",
+            facets: content.facets,
+            label: getTranslationLabel(message),
+            showOriginal: false,
+          };
+          addTranslatedText(currentPost, translation);
+        } else if (message.type === "chunk" && translation) {
+          // Grow the translated text as the translation arrives
+          translation.text += message.text;
+          const translatedTextElement = currentPost.querySelector(
+            ".babbelsky-translated-text",
+          );
+          if (translatedTextElement) {
+            renderTranslatedText(
+              translatedTextElement,
+              translation.text.trimStart(),
+              translation.facets,
+              { partial: true },
+            );
+          } else {
+            restoreTranslatedText(currentPost);
+          }
+        } else if (message.type === "done") {
+          finished = true;
+          port.disconnect();
+          // Inject the translated text into the DOM
+          addTranslatedText(currentPost, {
+            text: message.translatedPost,
+            facets: content.facets,
+            label: getTranslationLabel(message),
+            showOriginal: translation ? translation.showOriginal : false,
+          });
+        } else if (message.type === "error") {
+          finished = true;
+          port.disconnect();
+          removeTranslation(currentPost, postKey);
+          console.error("BabbelSky: Translation Error:", message.error);
+          showErrorCard(currentPost, message, retry);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        // Reading lastError marks it as handled
+        const error = chrome.runtime.lastError;
+        if (finished) {
+          return;
+        }
+        console.warn(
+          "BabbelSky: The translation stream closed unexpectedly.",
+          error,
+        );
+        const connectedPost = findConnectedPost(currentPost, postKey);
+        if (!connectedPost) {
+          return;
+        }
+        removeTranslation(connectedPost, postKey);
+        // The background service worker may have been stopped: start it again once
+        if (retried) {
+          showErrorCard(connectedPost, createUnavailableError(), retry);
+        } else {
+          setTimeout(() => {
+            const post = findConnectedPost(connectedPost, postKey);
+            if (post) {
+              retry(post, { retried: true });
             }
+          }, backgroundRetryDelay);
+        }
+      });
+
+      port.postMessage({
+        action: "translatePost",
+        post: content.text,
+        sourceLanguage,
+        providerId,
+      });
+    } catch (error) {
+      console.error("BabbelSky: Unexpected error occurred.", error);
+    }
+  }
+
+  /**
+   * Sends several posts for translation in a single request and adds each
+   * translation to its post. The embed pieces of the posts are sent in the
+   * same request.
+   * @param {HTMLElement[]} postElements - The posts to translate.
+   * @param {Object} [options] - Translation options.
+   * @param {boolean} [options.auto=false] - Whether these are automatic translations, which report errors quietly.
+   * @param {string|null} [options.providerId=null] - A provider to use instead of the configured ones.
+   * @param {string[]} [options.contextPosts=[]] - Earlier posts of the thread, sent for context only.
+   * @returns {Promise<boolean>} - Resolves to true if the posts were translated.
+   */
+  function requestTranslations(
+    postElements,
+    { auto = false, providerId = null, contextPosts = [] } = {},
+  ) {
+    try {
+      const requests = postElements
+        .map((postElement) => ({
+          postElement,
+          content: extractPostContent(postElement),
+        }))
+        .filter((request) => request.content);
+      if (!requests.length) {
+        return Promise.resolve(true);
+      }
+
+      const posts = [];
+      requests.forEach((request) => {
+        request.postKey = getPostKey(request.postElement);
+        request.pieces = getEmbedPieces(request.postElement);
+        // Index of the post's text in the batch, followed by its pieces
+        request.index = posts.length;
+        posts.push(
+          {
+            text: request.content.text,
+            sourceLanguage: getPostLanguage(request.postElement),
+          },
+          ...request.pieces.map((piece) => ({
+            text: piece.content.text,
+            sourceLanguage: getEmbedLanguage(piece),
+          })),
+        );
+      });
+
+      const retry = (postElement, options = {}) =>
+        requestTranslations([postElement], { providerId, ...options });
+      const showErrorCards = (response) => {
+        requests.forEach(({ postElement }) => {
+          if (postElement.isConnected) {
+            showErrorCard(postElement, response, retry);
+          }
+        });
+      };
+
+      // Send the post texts to the background script for translation
+      return sendMessage({
+        action: "translatePosts",
+        posts,
+        auto,
+        providerId,
+        contextPosts,
+      })
+        .then((response) => {
+          if (response.translations) {
+            // Fan the translations back out to their posts
+            requests.forEach((request) => {
+              const translation = response.translations[request.index];
+              removeErrorCard(request.postElement);
+              // Posts in a language the user never translates come back empty
+              if (translation) {
+                addTranslatedText(request.postElement, {
+                  text: translation.translatedPost,
+                  facets: request.content.facets,
+                  label: getTranslationLabel(translation),
+                  showOriginal: false,
+                });
+              }
+              if (request.pieces.length && request.postKey) {
+                setEmbedTranslations(
+                  request.postElement,
+                  request.postKey,
+                  request.pieces,
+                  response.translations.slice(request.index + 1),
+                );
+              }
+            });
+            return true;
+          }
+          if (auto && response.error) {
+            handleAutoTranslateError(response);
+          } else if (response.error) {
+            console.error("BabbelSky: Translation Error:", response.error);
+            showErrorCards(response);
+          } else {
+            console.warn(
+              "BabbelSky: Unexpected response from background script.",
+              response,
+            );
+            showErrorCards({ error: "" });
           }
+          return false;
+        })
+        .catch((response) => {
+          if (auto) {
+            handleAutoTranslateError(response);
+          } else {
+            showErrorCards(response);
+          }
+          return false;
+        });
+    } catch (error) {
+      console.error("BabbelSky: Unexpected error occurred.", error);
+      return Promise.resolve(false);
+    }
+  }
+
+  /**
+   * Sends the posts collected for automatic translation as one batch.
+   */
+  function flushAutoTranslations() {
+    autoTranslateTimer = null;
+    const postElements = pendingAutoTranslations.filter(
+      (postElement) => postElement.isConnected,
+    );
+    pendingAutoTranslations = [];
+    if (isAutoTranslateEnabled() && !autoTranslateBudgetExceeded) {
+      requestTranslations(postElements, { auto: true });
+    }
+  }
+
+  /**
+   * Queues a post for automatic translation. Posts that scroll into view
+   * close together are translated in a single request.
+   * @param {HTMLElement} postElement - The post to translate.
+   */
+  function queueAutoTranslation(postElement) {
+    pendingAutoTranslations.push(postElement);
+    if (autoTranslateTimer === null) {
+      autoTranslateTimer = setTimeout(
+        flushAutoTranslations,
+        autoTranslateBatchDelay,
+      );
+    }
+  }
+
+  /**
+   * Texts of the thread post statuses.
+   * @type {Object<string, string>}
+   */
+  const threadStatusTexts = {
+    queued: "Waiting to translate…",
+    translating: "Translating…",
+    failed: "Not translated",
+  };
+
+  /**
+   * Shows the status of a post while its thread is translated, or removes it.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {string|null} status - "queued", "translating" or "failed", or null to remove the status.
+   */
+  function setThreadPostStatus(postElement, status) {
+    let statusElement = postElement.querySelector(".babbelsky-thread-status");
+    if (!status) {
+      if (statusElement) {
+        statusElement.remove();
+      }
+      return;
+    }
+
+    const textElement = getTextElement(postElement);
+    if (!statusElement && textElement) {
+      statusElement = document.createElement("div");
+      statusElement.className = "babbelsky-thread-status";
+      textElement.parentNode.insertBefore(
+        statusElement,
+        textElement.nextSibling,
+      );
+    }
+    if (statusElement) {
+      statusElement.setAttribute("data-status", status);
+      statusElement.textContent = threadStatusTexts[status];
+    }
+  }
+
+  /**
+   * Shows the progress of the thread translation in the thread control.
+   * @param {string} text - The progress text.
+   */
+  function setThreadProgress(text) {
+    const progressElement = document.querySelector(
+      ".babbelsky-thread-progress",
+    );
+    if (progressElement) {
+      progressElement.textContent = text;
+    }
+  }
+
+  /**
+   * Translates every post of the thread that isn't translated yet, from the
+   * root down, a few posts per request. If enabled, the posts before each
+   * part are sent along as context, so replies are translated coherently.
+   * @returns {Promise<void>}
+   */
+  async function translateThread() {
+    const postElements = Array.from(
+      document.querySelectorAll(threadItemSelector),
+    ).filter((postElement) => {
+      const postKey = getPostKey(postElement);
+      return (
+        postKey &&
+        !translations.has(postKey) &&
+        wantsTranslation(getPostLanguage(postElement))
+      );
+    });
+    if (!postElements.length) {
+      setThreadProgress("Every post is translated or in a language you read.");
+      return;
+    }
+
+    threadTranslationRunning = true;
+    // Absent when the thread is translated with a keyboard shortcut
+    const button = document.querySelector(".babbelsky-thread-button");
+    if (button) {
+      button.disabled = true;
+    }
+    try {
+      postElements.forEach((postElement) => {
+        setThreadPostStatus(postElement, "queued");
+      });
+
+      let translated = 0;
+      let failed = false;
+      // Index of the first post that has not been sent yet
+      let next = 0;
+      for (
+        let start = 0;
+        start < postElements.length && !failed;
+        start += threadBatchSize
+      ) {
+        setThreadProgress(
+          `Translating thread… ${translated} of ${postElements.length} posts`,
+        );
+        const batch = postElements.slice(start, start + threadBatchSize);
+        batch.forEach((postElement) => {
+          setThreadPostStatus(postElement, "translating");
+        });
+
+        const contextPosts = settings.threadContext
+          ? postElements
+              .slice(Math.max(0, start - threadContextSize), start)
+              .map((postElement) => extractPostContent(postElement))
+              .filter((content) => content)
+              .map((content) => content.text)
+          : [];
+
+        // Posts removed from the page while earlier batches ran are skipped
+        const sentPosts = batch.filter(
+          (postElement) => postElement.isConnected,
+        );
+        next = start + batch.length;
+        try {
+          failed = !(await requestTranslations(sentPosts, { contextPosts }));
+        } catch (error) {
+          console.error("BabbelSky: Thread translation failed:", error);
+          failed = true;
+        }
+        if (!failed) {
+          translated += sentPosts.length;
+        }
+        batch.forEach((postElement) => {
+          setThreadPostStatus(postElement, failed ? "failed" : null);
+        });
+      }
+
+      // Posts after a failure are not sent
+      postElements.slice(next).forEach((postElement) => {
+        setThreadPostStatus(postElement, failed ? "failed" : null);
+      });
+      setThreadProgress(
+        failed
+          ? `Stopped after ${translated} of ${postElements.length} posts.`
+          : `Translated ${translated} posts.`,
+      );
+    } finally {
+      threadTranslationRunning = false;
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Shows the "Translate entire thread" control on thread pages, and removes
+   * it when the user navigates away from the thread.
+   */
+  function updateThreadControl() {
+    const visible =
+      isEnabled() &&
+      /\/post\//.test(location.pathname) &&
+      !!document.querySelector(threadItemSelector);
+    const controlElement = document.querySelector(".babbelsky-thread-control");
+
+    if (!visible) {
+      if (controlElement && !threadTranslationRunning) {
+        controlElement.remove();
+      }
+      return;
+    }
+    if (controlElement) {
+      return;
+    }
+
+    const newControlElement = document.createElement("div");
+    newControlElement.className = "babbelsky-thread-control";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "babbelsky-thread-button";
+    button.textContent = "Translate entire thread";
+    button.addEventListener("click", () => {
+      translateThread().catch((error) => {
+        console.error("BabbelSky: Unexpected error occurred.", error);
+      });
+    });
+
+    const progressElement = document.createElement("span");
+    progressElement.className = "babbelsky-thread-progress";
+    progressElement.setAttribute("aria-live", "polite");
+
+    newControlElement.append(button, progressElement);
+    document.body.appendChild(newControlElement);
+  }
+
+  /**
+   * Finds the description shown in the same profile header as a display name.
+   * @param {HTMLElement} displayNameElement - The display name element.
+   * @returns {HTMLElement|null} - The description element, or null if the profile has none.
+   */
+  function getProfileDescription(displayNameElement) {
+    // The header is the closest ancestor that also contains the description
+    let element = displayNameElement.parentElement;
+    for (let depth = 0; element && depth < 8; depth++) {
+      const descriptionElement = element.querySelector(
+        profileDescriptionSelector,
+      );
+      if (descriptionElement) {
+        return descriptionElement;
+      }
+      element = element.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Returns a key identifying a profile header across re-renders.
+   * @param {HTMLElement} displayNameElement - The display name element.
+   * @param {HTMLElement|null} descriptionElement - The description element.
+   * @returns {string} - The profile key.
+   */
+  function getProfileKey(displayNameElement, descriptionElement) {
+    const description = descriptionElement
+      ? descriptionElement.textContent.trim()
+      : "";
+    return `${displayNameElement.textContent.trim()}\n${description}`;
+  }
+
+  /**
+   * Renders the translation of a profile header beneath the header.
+   * @param {HTMLElement} buttonElement - The profile's translate button, which the translation follows.
+   * @param {ProfileTranslation} translation - The translation.
+   */
+  function renderProfileTranslation(buttonElement, translation) {
+    let translationElement = buttonElement.nextElementSibling;
+    if (
+      !translationElement ||
+      !translationElement.classList.contains("babbelsky-profile-translation")
+    ) {
+      translationElement = document.createElement("div");
+      translationElement.className = "babbelsky-profile-translation";
+      buttonElement.parentNode.insertBefore(
+        translationElement,
+        buttonElement.nextSibling,
+      );
+    }
+
+    const labelElement = document.createElement("span");
+    labelElement.className = "babbelsky-translation-label";
+    labelElement.textContent = translation.label;
+    const children = [labelElement];
+
+    if (translation.displayName) {
+      const displayNameElement = document.createElement("p");
+      displayNameElement.className = "babbelsky-profile-display-name";
+      displayNameElement.textContent = translation.displayName;
+      children.push(displayNameElement);
+    }
+    if (translation.description) {
+      const descriptionElement = document.createElement("p");
+      descriptionElement.className = "babbelsky-translated-text";
+      renderTranslatedText(
+        descriptionElement,
+        translation.description.text,
+        translation.description.facets,
+      );
+      children.push(descriptionElement);
+    }
+
+    translationElement.replaceChildren(...children);
+    buttonElement.textContent = "Hide bio translation";
+  }
+
+  /**
+   * Translates the display name and description of a profile header in one
+   * request, or hides the translation if it is shown.
+   * @param {HTMLElement} buttonElement - The profile's translate button.
+   * @param {HTMLElement} displayNameElement - The display name element.
+   * @param {HTMLElement|null} descriptionElement - The description element.
+   * @returns {Promise<void>}
+   */
+  async function toggleProfileTranslation(
+    buttonElement,
+    displayNameElement,
+    descriptionElement,
+  ) {
+    const profileKey = getProfileKey(displayNameElement, descriptionElement);
+    const translationElement = buttonElement.nextElementSibling;
+    if (
+      translationElement &&
+      translationElement.classList.contains("babbelsky-profile-translation")
+    ) {
+      translationElement.remove();
+      profileTranslations.delete(profileKey);
+      buttonElement.textContent = "Translate bio with BabbelSky";
+      return;
+    }
+
+    const displayName = encodePostSegments(
+      splitEmoji(displayNameElement.textContent),
+    );
+    const description = descriptionElement
+      ? encodePostSegments(getPostSegments(descriptionElement))
+      : null;
+    const pieces = [displayName, description].filter(
+      (content) => content && content.text,
+    );
+    if (!pieces.length) {
+      return;
+    }
+
+    buttonElement.disabled = true;
+    buttonElement.textContent = "Translating…";
+    let response = null;
+    try {
+      response = await sendMessage({
+        action: "translatePosts",
+        posts: pieces.map((content) => ({
+          text: content.text,
+          sourceLanguage: descriptionElement
+            ? getElementLanguage(descriptionElement)
+            : null,
+        })),
+      });
+    } catch (error) {
+      response = error;
+    } finally {
+      buttonElement.disabled = false;
+    }
+
+    if (!response.translations) {
+      console.error("BabbelSky: Translation Error:", response.error);
+      buttonElement.textContent = `${errorCauses[response.code] || "The translation failed."} Try again`;
+      return;
+    }
+
+    const results = response.translations;
+    const translation = {
+      displayName: displayName.text
+        ? decodeTranslatedText(results[0].translatedPost, displayName.facets)
+        : null,
+      description:
+        description && description.text
+          ? {
+              text: results[results.length - 1].translatedPost,
+              facets: description.facets,
+            }
+          : null,
+      label: getTranslationLabel(results[results.length - 1]),
+    };
+    profileTranslations.set(profileKey, translation);
+    renderProfileTranslation(buttonElement, translation);
+  }
+
+  /**
+   * Checks whether a node added to the page is, or contains, part of a
+   * profile header that addProfileButtons() looks at.
+   * @param {Element} node - The added node.
+   * @returns {boolean} - True if the node holds a display name or description.
+   */
+  function isProfileHeaderNode(node) {
+    const selector = `${profileDisplayNameSelector}, ${profileDescriptionSelector}`;
+    return node.matches(selector) || !!node.querySelector(selector);
+  }
+
+  /**
+   * Adds a translate button to profile headers, below the description, and
+   * restores translations Bluesky re-rendered away.
+   */
+  function addProfileButtons() {
+    if (!isEnabled()) {
+      return;
+    }
+    document
+      .querySelectorAll(profileDisplayNameSelector)
+      .forEach((displayNameElement) => {
+        const descriptionElement = getProfileDescription(displayNameElement);
+        const anchorElement = descriptionElement || displayNameElement;
+        let buttonElement = anchorElement.nextElementSibling;
+        if (
+          !buttonElement ||
+          !buttonElement.classList.contains("babbelsky-profile-button")
+        ) {
+          buttonElement = document.createElement("button");
+          buttonElement.type = "button";
+          buttonElement.className =
+            "babbelsky-translate-button babbelsky-profile-button";
+          buttonElement.textContent = "Translate bio with BabbelSky";
+          buttonElement.addEventListener("click", (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            toggleProfileTranslation(
+              buttonElement,
+              displayNameElement,
+              descriptionElement,
+            ).catch((error) => {
+              console.error("BabbelSky: Unexpected error occurred.", error);
+            });
+          });
+          anchorElement.parentNode.insertBefore(
+            buttonElement,
+            anchorElement.nextSibling,
+          );
+        }
+
+        const translation = profileTranslations.get(
+          getProfileKey(displayNameElement, descriptionElement),
+        );
+        const translationElement = buttonElement.nextElementSibling;
+        const shown =
+          translationElement &&
+          translationElement.classList.contains(
+            "babbelsky-profile-translation",
+          );
+        if (translation && !shown) {
+          renderProfileTranslation(buttonElement, translation);
+        }
+      });
+  }
+
+  /**
+   * Loads the languages a draft can be translated to, and the alternative
+   * language codes.
+   * @returns {Promise<Array<{name: string, code: string}>>} - The languages.
+   */
+  function getComposerLanguages() {
+    if (!composerLanguages) {
+      composerLanguages = sendMessage({ action: "getLanguages" })
+        .then((response) => {
+          languageCodeAliases = response.languageCodeAliases || {};
+          return response.languages || [];
+        })
+        .catch(() => {
+          composerLanguages = null;
+          return [];
         });
+    }
+    return composerLanguages;
+  }
+
+  /**
+   * Finds the language of the list matching a language code, comparing
+   * base languages if there is no exact match (e.g. "pt-BR" matches "pt").
+   * @param {Array<{name: string, code: string}>} languages - The languages.
+   * @param {string|null} code - The language code.
+   * @returns {string|null} - The code from the list, or null if there is no match.
+   */
+  function findLanguageCode(languages, code) {
+    if (!code) {
+      return null;
+    }
+    const normalizedCode = normalizeLanguageCode(code);
+    const baseCode = normalizedCode.split("-")[0];
+    const language =
+      languages.find((lang) => lang.code.toLowerCase() === normalizedCode) ||
+      languages.find(
+        (lang) => lang.code.toLowerCase().split("-")[0] === baseCode,
+      );
+    return language ? language.code : null;
+  }
+
+  /**
+   * Counts the graphemes of a text, as Bluesky does for its post length limit.
+   * @param {string} text - The text.
+   * @returns {number} - The number of graphemes.
+   */
+  function countGraphemes(text) {
+    if (typeof Intl.Segmenter === "function") {
+      return Array.from(new Intl.Segmenter().segment(text)).length;
+    }
+    return Array.from(text).length;
+  }
+
+  /**
+   * Matches the mentions, links and hashtags of a draft, which are kept out of its translation.
+   * @type {RegExp}
+   */
+  const draftFacetPattern = /(@[\w.-]+\.[\w-]+|https?:\/\/\S+|#[^\s#]+)/u;
+
+  /**
+   * Prepares a draft for translation, replacing its mentions, links,
+   * hashtags and emoji with placeholders as for posts.
+   * @param {string} text - The draft.
+   * @returns {PostContent} - The text and its facets.
+   */
+  function encodeDraftText(text) {
+    const segments = [];
+    text.split(draftFacetPattern).forEach((part, index) => {
+      if (index % 2) {
+        const type = { "@": "mention", "#": "tag" }[part[0]] || "link";
+        segments.push({ type, text: part, href: null });
+      } else {
+        segments.push(...splitEmoji(part));
+      }
+    });
+    return encodePostSegments(segments);
+  }
+
+  /**
+   * Puts the facets of a text back into its translation, as plain text, for
+   * drafts and display names. Facets the provider dropped are added at the end.
+   * @param {string} text - The translated text, with placeholders.
+   * @param {PostSegment[]} facets - The facets of the original text.
+   * @returns {string} - The translated text.
+   */
+  function decodeTranslatedText(text, facets) {
+    const used = new Set();
+    let decodedText = text
+      .split(placeholderPattern)
+      .map((part) => {
+        const match = /^⟦(\d+)⟧$/.exec(part);
+        const facet = match ? facets[Number(match[1])] : null;
+        if (facet) {
+          used.add(facet);
+          return facet.text;
+        }
+        return match ? "" : part;
+      })
+      .join("");
+    facets
+      .filter((facet) => !used.has(facet))
+      .forEach((facet) => {
+        decodedText += ` ${facet.text}`;
       });
+    return decodedText;
+  }
+
+  /**
+   * Reads the draft from the composer, one line per paragraph.
+   * @param {HTMLElement} editor - The composer's editor.
+   * @returns {string} - The draft.
+   */
+  function getComposerText(editor) {
+    const paragraphs = Array.from(editor.querySelectorAll("p"));
+    return paragraphs.length
+      ? paragraphs.map((paragraph) => paragraph.textContent).join("\n")
+      : editor.textContent;
+  }
+
+  /**
+   * Replaces the draft in the composer. The editor keeps its own state, so
+   * the text is pasted into it rather than written to the DOM, which also
+   * lets the user undo the change with Ctrl+Z.
+   * @param {HTMLElement} editor - The composer's editor.
+   * @param {string} text - The new draft.
+   * @returns {Promise<void>}
+   */
+  async function setComposerText(editor, text) {
+    editor.focus();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    // Give the editor a moment to pick up the new selection
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    if (!text) {
+      document.execCommand("delete");
+      return;
+    }
+    const clipboardData = new DataTransfer();
+    clipboardData.setData("text/plain", text);
+    const pasteEvent = new ClipboardEvent("paste", {
+      clipboardData,
+      bubbles: true,
+      cancelable: true,
+    });
+    editor.dispatchEvent(pasteEvent);
+    if (!pasteEvent.defaultPrevented) {
+      document.execCommand("insertText", false, text);
+    }
+  }
+
+  /**
+   * Translates the draft in the composer into the chosen language, replacing
+   * the draft or appending the translation to it, and offers to undo. If the
+   * result would go over Bluesky's length limit, the user is asked first.
+   * @param {HTMLElement} editor - The composer's editor.
+   * @param {HTMLElement} barElement - The BabbelSky composer bar.
+   * @returns {Promise<void>}
+   */
+  async function translateDraft(editor, barElement) {
+    const languageSelect = barElement.querySelector(
+      ".babbelsky-composer-language",
+    );
+    const modeSelect = barElement.querySelector(".babbelsky-composer-mode");
+    const translateButton = barElement.querySelector(
+      ".babbelsky-composer-translate",
+    );
+    const applyButton = barElement.querySelector(".babbelsky-composer-apply");
+    const undoButton = barElement.querySelector(".babbelsky-composer-undo");
+    const statusElement = barElement.querySelector(
+      ".babbelsky-composer-status",
+    );
+    const setStatus = (text, warning = false) => {
+      statusElement.textContent = text;
+      statusElement.classList.toggle("babbelsky-composer-warning", warning);
+    };
+
+    const draft = getComposerText(editor);
+    if (!draft.trim()) {
+      setStatus("Write something to translate first.");
+      return;
+    }
+
+    const targetLanguage = languageSelect.value;
+    lastComposerLanguage = targetLanguage;
+    const content = encodeDraftText(draft.trim());
+    applyButton.hidden = true;
+    translateButton.disabled = true;
+    setStatus("Translating…");
+
+    let response = null;
+    try {
+      response = await sendMessage({
+        action: "translatePosts",
+        posts: [{ text: content.text, sourceLanguage: null }],
+        targetLanguage,
+      });
+    } catch (error) {
+      response = error;
+    } finally {
+      translateButton.disabled = false;
+    }
+    if (!response.translations) {
+      console.error("BabbelSky: Translation Error:", response.error);
+      setStatus(
+        errorCauses[response.code] ||
+          response.error ||
+          "The translation failed.",
+        true,
+      );
+      return;
+    }
+
+    const translation = decodeTranslatedText(
+      response.translations[0].translatedPost,
+      content.facets,
+    );
+    const newDraft =
+      modeSelect.value === "append"
+        ? `${draft.trimEnd()}\n\n${translation}`
+        : translation;
+    const length = countGraphemes(newDraft);
+
+    const applyTranslation = async () => {
+      applyButton.hidden = true;
+      await setComposerText(editor, newDraft);
+
+      undoButton.hidden = false;
+      undoButton.onclick = () => {
+        undoButton.hidden = true;
+        setStatus("");
+        setComposerText(editor, draft);
+      };
+      setStatus(
+        length > maxPostGraphemes
+          ? `The draft is ${length} characters long, over Bluesky's limit of ${maxPostGraphemes}. Shorten it before posting.`
+          : `${length}/${maxPostGraphemes} characters`,
+        length > maxPostGraphemes,
+      );
+    };
+
+    if (length <= maxPostGraphemes) {
+      await applyTranslation();
+      return;
+    }
+
+    // Keep the draft until the user agrees to a result that is too long to post
+    setStatus(
+      `The result would be ${length} characters long, over Bluesky's limit of ${maxPostGraphemes}.`,
+      true,
+    );
+    applyButton.hidden = false;
+    applyButton.onclick = () => {
+      applyTranslation().catch((error) => {
+        console.error("BabbelSky: Unexpected error occurred.", error);
+      });
+    };
+  }
+
+  /**
+   * Adds the BabbelSky bar to a composer: a language picker, a choice to
+   * replace the draft or append the translation, and the translate and undo
+   * buttons. Replies default to the language of the post replied to.
+   * @param {HTMLElement} editor - The composer's editor.
+   */
+  function addComposerBar(editor) {
+    editor.setAttribute("data-babbelsky-composer", "true");
+    const isReply =
+      replyLanguage && Date.now() - replyLanguage.time < replyComposerDelay;
+    const replyTo = isReply ? replyLanguage.language : null;
+    replyLanguage = null;
+
+    const barElement = document.createElement("div");
+    barElement.className = "babbelsky-composer-bar";
+
+    const languageSelect = document.createElement("select");
+    languageSelect.className = "babbelsky-composer-language";
+    languageSelect.setAttribute("aria-label", "Translate draft to");
+
+    const modeSelect = document.createElement("select");
+    modeSelect.className = "babbelsky-composer-mode";
+    modeSelect.setAttribute("aria-label", "Replace or append");
+    [
+      ["replace", "Replace draft"],
+      ["append", "Append translation"],
+    ].forEach(([value, text]) => {
+      modeSelect.appendChild(new Option(text, value));
+    });
+
+    const translateButton = document.createElement("button");
+    translateButton.type = "button";
+    translateButton.className = "babbelsky-composer-translate";
+    translateButton.textContent = "Translate draft";
+    translateButton.addEventListener("click", () => {
+      translateDraft(editor, barElement).catch((error) => {
+        console.error("BabbelSky: Unexpected error occurred.", error);
+      });
+    });
+
+    const applyButton = document.createElement("button");
+    applyButton.type = "button";
+    applyButton.className = "babbelsky-composer-apply";
+    applyButton.textContent = "Use anyway";
+    applyButton.hidden = true;
+
+    const undoButton = document.createElement("button");
+    undoButton.type = "button";
+    undoButton.className = "babbelsky-composer-undo";
+    undoButton.textContent = "Undo";
+    undoButton.hidden = true;
+
+    const statusElement = document.createElement("span");
+    statusElement.className = "babbelsky-composer-status";
+    statusElement.setAttribute("role", "status");
+
+    barElement.append(
+      languageSelect,
+      modeSelect,
+      translateButton,
+      undoButton,
+      statusElement,
+      applyButton,
+    );
+    const anchorElement = editor.parentElement || editor;
+    anchorElement.parentNode.insertBefore(
+      barElement,
+      anchorElement.nextSibling,
+    );
+
+    getComposerLanguages().then((languages) => {
+      languages.forEach((language) => {
+        languageSelect.appendChild(new Option(language.name, language.code));
+      });
+      languageSelect.value =
+        findLanguageCode(languages, replyTo) ||
+        lastComposerLanguage ||
+        findLanguageCode(languages, settings.targetLanguage) ||
+        "en";
+      if (replyTo && findLanguageCode(languages, replyTo)) {
+        statusElement.textContent = "Reply language selected";
+      }
+    });
+  }
+
+  /**
+   * Adds the BabbelSky bar to composers that don't have it yet.
+   * @param {ParentNode} [root=document] - Where to look for composers: the
+   *   whole page, or a node added to it.
+   */
+  function attachComposerBars(root = document) {
+    if (!isEnabled()) {
+      return;
+    }
+    const selector = `${composerSelector}:not([data-babbelsky-composer])`;
+    const editors = Array.from(root.querySelectorAll(selector));
+    if (root instanceof Element && root.matches(selector)) {
+      editors.push(root);
+    }
+    editors.forEach(addComposerBar);
+  }
+
+  /**
+   * Remembers the language of a post when its reply button is clicked, so
+   * the composer that opens defaults to translating into it.
+   * @param {Event} event - The click event object.
+   */
+  function handleReplyButtonClick(event) {
+    const replyButton =
+      event.target instanceof Element &&
+      event.target.closest('[data-testid="replyBtn"]');
+    if (!replyButton) {
+      return;
+    }
+    replyLanguage = {
+      language: getPostLanguage(getPostElement(replyButton)),
+      time: Date.now(),
+    };
+  }
+
+  /**
+   * The selection translation panel and the request it shows.
+   * @type {{element: HTMLElement, requestId: string}|null}
+   */
+  let selectionPanel = null;
+
+  /**
+   * Removes the selection translation panel.
+   */
+  function closeSelectionPanel() {
+    if (selectionPanel) {
+      selectionPanel.element.remove();
+      selectionPanel = null;
+    }
+    document.removeEventListener("keydown", handleSelectionPanelKeydown);
+  }
+
+  /**
+   * Closes the selection translation panel when Escape is pressed.
+   * @param {KeyboardEvent} event - The keydown event object.
+   */
+  function handleSelectionPanelKeydown(event) {
+    if (event.key === "Escape") {
+      closeSelectionPanel();
+    }
+  }
+
+  /**
+   * Creates the floating selection translation panel next to the current
+   * selection, or at the top of the window if nothing is selected any more.
+   * @param {string} requestId - The translation request the panel shows.
+   * @returns {HTMLElement} - The panel.
+   */
+  function openSelectionPanel(requestId) {
+    closeSelectionPanel();
+
+    const panelElement = document.createElement("div");
+    panelElement.className = "babbelsky-selection-panel";
+    panelElement.setAttribute("role", "dialog");
+    panelElement.setAttribute("aria-label", "BabbelSky translation");
+
+    const selection = window.getSelection();
+    const rect =
+      selection && selection.rangeCount
+        ? selection.getRangeAt(0).getBoundingClientRect()
+        : null;
+    const panelWidth = Math.min(360, window.innerWidth - 16);
+    const left = rect ? rect.left : (window.innerWidth - panelWidth) / 2;
+    const top = rect ? rect.bottom + 8 : 16;
+    panelElement.style.width = `${panelWidth}px`;
+    panelElement.style.left = `${Math.max(8, Math.min(left, window.innerWidth - panelWidth - 8))}px`;
+    panelElement.style.top = `${Math.max(8, Math.min(top, window.innerHeight - 120))}px`;
+
+    document.body.appendChild(panelElement);
+    document.addEventListener("keydown", handleSelectionPanelKeydown);
+    selectionPanel = { element: panelElement, requestId };
+    return panelElement;
+  }
+
+  /**
+   * Shows a selection translation sent by the background script: a panel
+   * saying it is translating, then the translation or the error.
+   * @param {Object} message - The message from the background script.
+   */
+  function showSelectionTranslation(message) {
+    if (message.status === "loading") {
+      openSelectionPanel(message.requestId);
+    } else if (
+      !selectionPanel ||
+      selectionPanel.requestId !== message.requestId
+    ) {
+      // The panel was closed, or shows a newer selection
+      return;
+    }
+    const panelElement = selectionPanel.element;
+
+    const headerElement = document.createElement("div");
+    headerElement.className = "babbelsky-selection-header";
+    const labelElement = document.createElement("span");
+    labelElement.className = "babbelsky-translation-label";
+    labelElement.textContent =
+      message.status === "done" ? getTranslationLabel(message) : "BabbelSky";
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "babbelsky-selection-close";
+    closeButton.setAttribute("aria-label", "Close");
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", closeSelectionPanel);
+    headerElement.append(labelElement, closeButton);
+
+    const bodyElement = document.createElement("p");
+    if (message.status === "done") {
+      bodyElement.className = "babbelsky-translated-text";
+      bodyElement.textContent = message.translatedPost;
+    } else if (message.status === "error") {
+      bodyElement.className = "babbelsky-error-cause";
+      bodyElement.textContent =
+        errorCauses[message.code] || message.error || "The translation failed.";
+    } else {
+      bodyElement.className = "babbelsky-selection-status";
+      bodyElement.textContent = "Translating…";
+    }
+
+    panelElement.replaceChildren(headerElement, bodyElement);
+  }
+
+  /**
+   * The post the mouse pointer last moved over, acted on by the keyboard
+   * shortcuts when no post has the focus.
+   * @type {HTMLElement|null}
+   */
+  let hoveredPost = null;
+
+  /**
+   * The notice shown after a keyboard shortcut, and the timer removing it.
+   * @type {{element: HTMLElement, timer: number}|null}
+   */
+  let shortcutNotice = null;
+
+  /**
+   * How long a keyboard shortcut notice stays on screen.
+   * @type {number}
+   */
+  const shortcutNoticeDuration = 3000;
+
+  /**
+   * Remembers the post under the mouse pointer.
+   * @param {MouseEvent} event - The mouseover event object.
+   */
+  function handlePostMouseOver(event) {
+    const postElement = getPostElement(event.target);
+    if (postElement) {
+      hoveredPost = postElement;
+    }
+  }
+
+  /**
+   * Finds the post the keyboard shortcuts act on: the focused post, or else
+   * the post the mouse pointer is over.
+   * @returns {HTMLElement|null} - The post element, or null if there is none.
+   */
+  function getShortcutPost() {
+    const focusedPost = getPostElement(document.activeElement);
+    if (focusedPost) {
+      return focusedPost;
+    }
+    return hoveredPost && hoveredPost.isConnected ? hoveredPost : null;
+  }
+
+  /**
+   * Shows a short notice at the bottom of the window, e.g. the translation
+   * service a keyboard shortcut switched to.
+   * @param {string} text - The notice text.
+   */
+  function showShortcutNotice(text) {
+    if (shortcutNotice) {
+      clearTimeout(shortcutNotice.timer);
+      shortcutNotice.element.remove();
+    }
+
+    const noticeElement = document.createElement("div");
+    noticeElement.className = "babbelsky-shortcut-notice";
+    noticeElement.setAttribute("role", "status");
+    noticeElement.textContent = text;
+    document.body.appendChild(noticeElement);
+
+    const timer = setTimeout(() => {
+      noticeElement.remove();
+      shortcutNotice = null;
+    }, shortcutNoticeDuration);
+    shortcutNotice = { element: noticeElement, timer };
+  }
+
+  /**
+   * Runs a keyboard shortcut sent by the background script.
+   * @param {string} command - "translate-post", "toggle-translation" or "translate-thread".
+   */
+  function runShortcut(command) {
+    if (settings.paused) {
+      showShortcutNotice("BabbelSky is paused. Resume it from the toolbar.");
+      return;
+    }
+    if (!settings.translationService) {
+      showShortcutNotice(
+        "Select a translation service on the BabbelSky options page.",
+      );
+      return;
+    }
+
+    if (command === "translate-thread") {
+      if (threadTranslationRunning) {
+        return;
+      }
+      if (!document.querySelector(".babbelsky-thread-button")) {
+        showShortcutNotice("Open a thread to translate all of its posts.");
+        return;
+      }
+      translateThread().catch((error) => {
+        console.error("BabbelSky: Unexpected error occurred.", error);
+      });
+      return;
+    }
+
+    const postElement = getShortcutPost();
+    if (!postElement) {
+      showShortcutNotice("Focus or point at a post first.");
+      return;
+    }
+
+    const postKey = getPostKey(postElement);
+    const translation = postKey && translations.get(postKey);
+    if (command === "toggle-translation" && translation) {
+      translation.showOriginal = !translation.showOriginal;
+      applyTranslationVisibility(postElement, translation);
+      return;
+    }
+    // Toggling a post that isn't translated yet translates it
+    requestTranslation(postElement);
+  }
+
+  /**
+   * Listens for messages from the background script.
+   */
+  function observeBackgroundMessages() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === "showSelectionTranslation") {
+        showSelectionTranslation(message);
+        sendResponse({ success: true });
+      } else if (message.action === "runShortcut") {
+        runShortcut(message.command);
+        sendResponse({ success: true });
+      } else if (message.action === "showShortcutNotice") {
+        showShortcutNotice(message.text);
+        sendResponse({ success: true });
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Handles the click event on the "Translate" button.
+   * Prevents the default action, extracts post text, and sends it for translation.
+   * @param {Event} event - The click event object.
+   */
+  function handleTranslateButtonClick(event) {
+    // Extract the "Translate" button that was clicked
+    const translateButton = event.currentTarget;
+
+    // Prevent the default translation behavior immediately
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    // Check if a translation service is selected and BabbelSky is not paused
+    getStorage(["translationService", "paused"]).then((result) => {
+      const selectedService = result.translationService;
+      if (!selectedService || result.paused) {
+        // Allow default Bluesky behavior to proceed
+        if (translateButton) {
+          translateButton.removeEventListener(
+            "click",
+            handleTranslateButtonClick,
+            true,
+          );
+          translateButton.click();
+          translateButton.addEventListener(
+            "click",
+            handleTranslateButtonClick,
+            true,
+          );
+        }
+        return;
+      }
+
+      requestTranslation(translateButton);
+    });
+  }
+
+  /**
+   * Handles the click event on a BabbelSky translate button.
+   * Stops the click from opening the post, then sends the post for translation.
+   * @param {Event} event - The click event object.
+   */
+  function handleBabbelSkyButtonClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    requestTranslation(event.currentTarget);
+  }
+
+  /**
+   * Builds the attribution shown above a translation.
+   * @param {Object} response - The translation response from the background script.
+   * @returns {string} - E.g. "Translated from Japanese by DeepL", or "Translated by DeepL"
+   *   if the source language is unknown.
+   */
+  function getTranslationLabel(response) {
+    const provider = response.provider || "BabbelSky";
+    const label = response.sourceLanguageName
+      ? `Translated from ${response.sourceLanguageName} by ${provider}`
+      : `Translated by ${provider}`;
+    // Say when a fallback service answered because the selected one failed
+    return response.fallbackFrom
+      ? `${label} (${response.fallbackFrom} unavailable)`
+      : label;
+  }
+
+  /**
+   * Hides or shows the original post text. The text element belongs to
+   * Bluesky, so it is hidden with an attribute rather than moved or replaced.
+   * @param {HTMLElement} textElement - The original text element.
+   * @param {boolean} hidden - Whether to hide it.
+   */
+  function setOriginalHidden(textElement, hidden) {
+    if (hidden) {
+      textElement.setAttribute("data-babbelsky-hidden", "true");
+    } else {
+      textElement.removeAttribute("data-babbelsky-hidden");
+    }
+  }
+
+  /**
+   * Applies the display mode and the original/translation toggle of a post,
+   * without rebuilding its translation block.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {PostTranslation} translation - The translation shown in the post.
+   */
+  function applyTranslationVisibility(postElement, translation) {
+    postElement
+      .querySelectorAll(".babbelsky-embed-translation")
+      .forEach((element) => {
+        element.hidden = translation.showOriginal;
+      });
+
+    const textElement = getTextElement(postElement);
+    const translationElement = postElement.querySelector(
+      ".babbelsky-translation",
+    );
+    if (!textElement || !translationElement) {
+      return;
+    }
+
+    const mode = translationElement.getAttribute("data-mode");
+    setOriginalHidden(
+      textElement,
+      !translation.showOriginal && mode !== "below",
+    );
+    translationElement.querySelector(".babbelsky-translation-body").hidden =
+      translation.showOriginal;
+
+    const toggleButton = translationElement.querySelector(
+      ".babbelsky-translation-toggle",
+    );
+    if (translation.showOriginal) {
+      toggleButton.textContent = "Show translation";
+    } else {
+      toggleButton.textContent =
+        mode === "below" ? "Hide translation" : "Show original";
+    }
+  }
+
+  /**
+   * Creates the element showing a facet in a translation: a working link for
+   * mentions, links and hashtags, or the emoji as text.
+   * @param {PostSegment} facet - The facet.
+   * @returns {Node} - The element.
+   */
+  function createFacetNode(facet) {
+    if (!facet.href) {
+      return document.createTextNode(facet.text);
+    }
+    const linkElement = document.createElement("a");
+    linkElement.className = "babbelsky-facet";
+    linkElement.href = facet.href;
+    linkElement.textContent = facet.text;
+    if (linkElement.origin !== location.origin) {
+      linkElement.target = "_blank";
+      linkElement.rel = "noopener noreferrer";
+    }
+    // Stop the click from opening the post instead
+    linkElement.addEventListener("click", (event) => event.stopPropagation());
+    return linkElement;
+  }
+
+  /**
+   * Renders translated text, replacing its placeholders with the facets of
+   * the original post. Facets the provider dropped are added at the end, so
+   * no mention or link is lost.
+   * @param {HTMLElement} element - The element to render into.
+   * @param {string} text - The translated text, with placeholders.
+   * @param {PostSegment[]} [facets=[]] - The facets of the original post.
+   * @param {Object} [options] - Rendering options.
+   * @param {boolean} [options.partial=false] - Whether the text is still streaming in,
+   *   so a placeholder may be cut off and missing facets may still arrive.
+   */
+  function renderTranslatedText(
+    element,
+    text,
+    facets = [],
+    { partial = false } = {},
+  ) {
+    const shownText = partial ? text.replace(/⟦\d*$/, "") : text;
+    const used = new Set();
+    const nodes = [];
+
+    shownText.split(placeholderPattern).forEach((part) => {
+      const match = /^⟦(\d+)⟧$/.exec(part);
+      const facet = match ? facets[Number(match[1])] : null;
+      if (facet) {
+        used.add(facet);
+        nodes.push(createFacetNode(facet));
+      } else if (part && !match) {
+        nodes.push(document.createTextNode(part));
+      }
+    });
+
+    if (!partial) {
+      facets
+        .filter((facet) => !used.has(facet))
+        .forEach((facet) => {
+          nodes.push(document.createTextNode(" "), createFacetNode(facet));
+        });
+    }
+    element.replaceChildren(...nodes);
+  }
+
+  /**
+   * Shows the translation of an embed piece next to it: under a quoted post
+   * body or link card text, or as an overlay on an image for ALT text.
+   * A translation that is already shown is left as it is.
+   * @param {EmbedPiece} piece - The piece.
+   * @param {EmbedTranslation} translation - Its translation.
+   * @returns {HTMLElement} - The element showing the translation.
+   */
+  function renderEmbedTranslation(piece, translation) {
+    const container = piece.type === "alt" ? piece.element.parentElement : null;
+    const existingElement = container
+      ? container.querySelector(":scope > .babbelsky-embed-translation")
+      : piece.element.nextElementSibling;
+    if (
+      existingElement &&
+      existingElement.classList.contains("babbelsky-embed-translation") &&
+      existingElement.getAttribute("data-source") === piece.source
+    ) {
+      return existingElement;
+    }
+    if (
+      existingElement &&
+      existingElement.classList.contains("babbelsky-embed-translation")
+    ) {
+      existingElement.remove();
+    }
+
+    const translationElement = document.createElement("div");
+    translationElement.className = "babbelsky-embed-translation";
+    translationElement.setAttribute("data-type", piece.type);
+    translationElement.setAttribute("data-source", piece.source);
+
+    const textElement = document.createElement("span");
+    textElement.className = "babbelsky-embed-translation-text";
+    renderTranslatedText(textElement, translation.text, translation.facets);
+
+    if (container) {
+      const labelElement = document.createElement("span");
+      labelElement.className = "babbelsky-alt-label";
+      labelElement.textContent = "ALT";
+      translationElement.append(labelElement, textElement);
+      // Position the overlay over the image
+      container.setAttribute("data-babbelsky-alt-host", "true");
+      container.appendChild(translationElement);
+    } else {
+      translationElement.appendChild(textElement);
+      piece.element.parentNode.insertBefore(
+        translationElement,
+        piece.element.nextSibling,
+      );
+    }
+    return translationElement;
+  }
+
+  /**
+   * Shows the translations of the embed pieces of a post, and removes
+   * embed translations left behind for pieces that are no longer shown.
+   * @param {HTMLElement} postElement - The post element.
+   */
+  function renderEmbedTranslations(postElement) {
+    const postKey = getPostKey(postElement);
+    const embeds = (postKey && embedTranslations.get(postKey)) || [];
+    const translation = postKey ? translations.get(postKey) : undefined;
+    const renderedElements = new Set();
+
+    if (embeds.length) {
+      getEmbedPieces(postElement).forEach((piece) => {
+        const embed = embeds.find(
+          (item) => item.type === piece.type && item.source === piece.source,
+        );
+        if (embed) {
+          const element = renderEmbedTranslation(piece, embed);
+          element.hidden = translation ? translation.showOriginal : false;
+          renderedElements.add(element);
+        }
+      });
+    }
+
+    postElement
+      .querySelectorAll(".babbelsky-embed-translation")
+      .forEach((element) => {
+        if (!renderedElements.has(element)) {
+          element.remove();
+        }
+      });
+  }
+
+  /**
+   * Renders the translation block of a post, in the configured display mode.
+   * Each post has at most one block: rendering again updates it in place.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {PostTranslation} translation - The translation to display.
+   */
+  function renderTranslation(postElement, translation) {
+    // Extract the text element within the post
+    const textElement = getTextElement(postElement);
+    if (!textElement) {
+      console.warn("BabbelSky: No text element found within the post.");
+      return;
+    }
+
+    let translationElement = postElement.querySelector(
+      ".babbelsky-translation",
+    );
+    if (!translationElement) {
+      translationElement = document.createElement("div");
+      translationElement.className = "babbelsky-translation";
+      // Insert the translation after the original text element
+      textElement.parentNode.insertBefore(
+        translationElement,
+        textElement.nextSibling,
+      );
+    }
+    translationElement.setAttribute("data-mode", settings.translationDisplay);
+    translationElement.setAttribute("data-post-key", getPostKey(postElement));
+
+    const headerElement = document.createElement("div");
+    headerElement.className = "babbelsky-translation-header";
+
+    const labelElement = document.createElement("span");
+    labelElement.className = "babbelsky-translation-label";
+    labelElement.textContent = translation.label;
+
+    const toggleButton = document.createElement("button");
+    toggleButton.type = "button";
+    toggleButton.className = "babbelsky-translation-toggle";
+    toggleButton.addEventListener("click", (event) => {
+      // Stop the click from opening the post
+      event.preventDefault();
+      event.stopPropagation();
+      translation.showOriginal = !translation.showOriginal;
+      applyTranslationVisibility(postElement, translation);
+    });
+
+    headerElement.appendChild(labelElement);
+    headerElement.appendChild(toggleButton);
+
+    const bodyElement = document.createElement("div");
+    bodyElement.className = "babbelsky-translation-body";
+
+    // Side by side, a copy of the original stands in for the hidden original,
+    // keeping its links, mentions and hashtags
+    if (settings.translationDisplay === "sideBySide") {
+      const originalTextElement = textElement.cloneNode(true);
+      ["id", "data-testid", "data-word-wrap", "data-babbelsky-hidden"].forEach(
+        (attribute) => originalTextElement.removeAttribute(attribute),
+      );
+      originalTextElement.classList.add("babbelsky-original-text");
+      bodyElement.appendChild(originalTextElement);
+    }
+
+    // Create a new paragraph element for the translated text
+    const translatedTextElement = document.createElement("p");
+    translatedTextElement.className = "babbelsky-translated-text";
+
+    // Set the translated text, with the facets of the original put back
+    renderTranslatedText(
+      translatedTextElement,
+      translation.text,
+      translation.facets,
+    );
+    bodyElement.appendChild(translatedTextElement);
+
+    translationElement.replaceChildren(headerElement, bodyElement);
+    applyTranslationVisibility(postElement, translation);
+  }
+
+  /**
+   * Adds the translation to the post containing the provided element.
+   * @param {HTMLElement} translateButton - The "Translate" button element.
+   * @param {PostTranslation} translation - The translation to display.
+   */
+  function addTranslatedText(translateButton, translation) {
+    if (!translateButton) {
+      console.warn('BabbelSky: "Translate" button not provided.');
+      return;
+    }
+
+    // Traverse up the DOM to find the parent post element
+    const postElement = getPostElement(translateButton);
+    if (!postElement) {
+      console.warn("BabbelSky: Could not locate the parent post element.");
+      return;
+    }
+
+    // Remember the translation so it can be restored if the post re-renders
+    const postKey = getPostKey(postElement);
+    if (postKey) {
+      translations.set(postKey, translation);
+    }
+
+    renderTranslation(postElement, translation);
+  }
+
+  /**
+   * Removes the translation block and embed translations from a post and
+   * shows the original text again.
+   * @param {HTMLElement} postElement - The post element.
+   */
+  function removeTranslationElement(postElement) {
+    postElement
+      .querySelectorAll(".babbelsky-embed-translation")
+      .forEach((element) => element.remove());
+    const translationElement = postElement.querySelector(
+      ".babbelsky-translation",
+    );
+    if (translationElement) {
+      translationElement.remove();
+    }
+    const textElement = getTextElement(postElement);
+    if (textElement) {
+      setOriginalHidden(textElement, false);
+    }
+  }
+
+  /**
+   * Forgets the translation of a post and removes it from the page.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {string} postKey - The post key.
+   */
+  function removeTranslation(postElement, postKey) {
+    translations.delete(postKey);
+    embedTranslations.delete(postKey);
+    removeTranslationElement(postElement);
+  }
+
+  /**
+   * Removes the error card from a post, if it has one.
+   * @param {HTMLElement|null} postElement - The post element.
+   */
+  function removeErrorCard(postElement) {
+    const errorElement =
+      postElement && postElement.querySelector(".babbelsky-error");
+    if (errorElement) {
+      errorElement.remove();
+    }
+  }
+
+  /**
+   * Creates a button for the error card. Clicks don't open the post.
+   * @param {string} text - The button text.
+   * @param {function(): void} onClick - Called when the button is clicked.
+   * @returns {HTMLButtonElement} - The button.
+   */
+  function createErrorCardButton(text, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "babbelsky-error-action";
+    button.textContent = text;
+    button.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Lists the other configured providers in the error card, each with a
+   * button that retries the translation with it.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {HTMLElement} listElement - Where to list the providers.
+   * @param {string|null} failedProviderId - The provider that failed, which is left out.
+   * @param {function(HTMLElement, Object): void} retry - Translates the post again.
+   */
+  function showOtherProviders(
+    postElement,
+    listElement,
+    failedProviderId,
+    retry,
+  ) {
+    listElement.textContent = "Loading translation services…";
+    sendMessage({ action: "getAvailableProviders" })
+      .then((response) => {
+        const providers = (response.providers || []).filter(
+          (provider) => provider.id !== failedProviderId,
+        );
+        if (!providers.length) {
+          listElement.textContent =
+            "No other translation service is configured.";
+          return;
+        }
+        listElement.replaceChildren(
+          ...providers.map((provider) =>
+            createErrorCardButton(`Translate with ${provider.name}`, () => {
+              removeErrorCard(postElement);
+              retry(postElement, { providerId: provider.id });
+            }),
+          ),
+        );
+      })
+      .catch((response) => {
+        listElement.textContent = errorCauses[response.code];
+      });
+  }
+
+  /**
+   * Shows an error card under a post, stating why the translation failed
+   * and offering to retry, use another provider or open the settings.
+   * Each post has at most one card: showing another replaces it.
+   * @param {HTMLElement} postElement - The post element.
+   * @param {{error: string, code?: string, providerId?: string}} response - The error response.
+   * @param {function(HTMLElement, Object=): void} retry - Translates the post again,
+   *   optionally with another provider.
+   */
+  function showErrorCard(postElement, response, retry) {
+    const textElement = getTextElement(postElement);
+    if (!textElement) {
+      return;
+    }
+    removeErrorCard(postElement);
+
+    const errorElement = document.createElement("div");
+    errorElement.className = "babbelsky-error";
+    errorElement.setAttribute("role", "alert");
+
+    const causeElement = document.createElement("p");
+    causeElement.className = "babbelsky-error-cause";
+    causeElement.textContent =
+      errorCauses[response.code] || "The translation failed.";
+    errorElement.appendChild(causeElement);
+
+    if (response.error) {
+      const detailElement = document.createElement("p");
+      detailElement.className = "babbelsky-error-detail";
+      detailElement.textContent = response.error;
+      errorElement.appendChild(detailElement);
+    }
+
+    const providersElement = document.createElement("div");
+    providersElement.className = "babbelsky-error-providers";
+    providersElement.hidden = true;
+
+    const actionsElement = document.createElement("div");
+    actionsElement.className = "babbelsky-error-actions";
+    actionsElement.append(
+      createErrorCardButton("Retry", () => {
+        removeErrorCard(postElement);
+        retry(postElement);
+      }),
+      createErrorCardButton("Use another provider", () => {
+        providersElement.hidden = false;
+        showOtherProviders(
+          postElement,
+          providersElement,
+          response.providerId || null,
+          retry,
+        );
+      }),
+      createErrorCardButton("Open settings", () => {
+        sendMessage({ action: "openOptionsPage" }).catch(() => {});
+      }),
+      createErrorCardButton("Dismiss", () => removeErrorCard(postElement)),
+    );
+
+    errorElement.append(actionsElement, providersElement);
+
+    // Insert the card after the translation, or after the original text
+    const anchorElement =
+      postElement.querySelector(".babbelsky-translation") || textElement;
+    anchorElement.parentNode.insertBefore(
+      errorElement,
+      anchorElement.nextSibling,
+    );
+  }
+
+  /**
+   * Adds a BabbelSky translate button to a post that has text but no Bluesky "Translate" button.
+   * @param {HTMLElement} postElement - The post element.
+   */
+  function addBabbelSkyButton(postElement) {
+    if (
+      postElement.querySelector(".babbelsky-translate-button") ||
+      postElement.querySelector(translateButtonSelector)
+    ) {
+      return;
+    }
+
+    const textElement = getTextElement(postElement);
+    if (!textElement) {
+      return;
+    }
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "babbelsky-translate-button";
+    button.textContent = "Translate with BabbelSky";
+    button.addEventListener("click", handleBabbelSkyButtonClick);
+
+    textElement.parentNode.insertBefore(button, textElement.nextSibling);
+  }
+
+  /**
+   * Restores the translations of a post that Bluesky re-rendered, re-renders it
+   * when the display mode changed, and removes
+   * a translation left behind when Bluesky reused the element for another post.
+   * @param {HTMLElement} postElement - The post element.
+   */
+  function restoreTranslatedText(postElement) {
+    renderEmbedTranslations(postElement);
+
+    const postKey = getPostKey(postElement);
+    const translation = postKey ? translations.get(postKey) : undefined;
+    const translationElement = postElement.querySelector(
+      ".babbelsky-translation",
+    );
+
+    if (
+      translationElement &&
+      translationElement.getAttribute("data-post-key") !== postKey
+    ) {
+      removeTranslationElement(postElement);
+    } else if (
+      translationElement &&
+      translation &&
+      translationElement.getAttribute("data-mode") ===
+        settings.translationDisplay
+    ) {
+      // Bluesky may have re-rendered the original text, undoing its visibility
+      applyTranslationVisibility(postElement, translation);
+      return;
+    }
+
+    if (translation) {
+      renderTranslation(postElement, translation);
+    }
+  }
+
+  /**
+   * Returns the language of a post: the one Bluesky marked up, or else the
+   * one the offline language detector identifies from the post text.
+   * @param {HTMLElement|null} postElement - The post element.
+   * @returns {string|null} - The language code or null if unknown.
+   */
+  function getPostLanguage(postElement) {
+    const textElement = postElement && getTextElement(postElement);
+    return textElement ? getElementLanguage(textElement) : null;
+  }
+
+  /**
+   * Returns the language of a text element: the one Bluesky marked up, or
+   * else the one the offline language detector identifies.
+   * @param {HTMLElement} textElement - The text element.
+   * @returns {string|null} - The language code or null if unknown.
+   */
+  function getElementLanguage(textElement) {
+    const langElement = textElement.hasAttribute("lang")
+      ? textElement
+      : textElement.querySelector("[lang]");
+    if (langElement) {
+      return langElement.getAttribute("lang");
+    }
+    return detectLanguage(textElement.textContent);
+  }
+
+  /**
+   * Identifies the language of a text with the offline language detector.
+   * @param {string} text - The text.
+   * @returns {string|null} - The language code or null if unknown.
+   */
+  function detectLanguage(text) {
+    const detector = globalThis.babbelSkyLanguageDetector;
+    const detection = detector ? detector.detectLanguage(text) : null;
+    return detection ? detection.language : null;
+  }
+
+  /**
+   * Maps an alternative language code to the code BabbelSky uses for it, and
+   * lowercases it for comparison, as languages.js does.
+   * @param {string} language - The language code.
+   * @returns {string} - The normalized code, e.g. "he" for "iw".
+   */
+  function normalizeLanguageCode(language) {
+    return (languageCodeAliases[language] || language).toLowerCase();
+  }
+
+  /**
+   * Checks whether the user reads a language: the target language or one of
+   * the "languages I read". Regional variants match their base language.
+   * @param {string} language - The language code.
+   * @returns {boolean} - True if the user reads the language.
+   */
+  function isReadLanguage(language) {
+    const baseLanguage = normalizeLanguageCode(language).split("-")[0];
+    return [settings.targetLanguage, ...settings.readLanguages].some(
+      (code) => normalizeLanguageCode(code).split("-")[0] === baseLanguage,
+    );
+  }
+
+  /**
+   * Returns the rule the user set for a source language, matching codes as
+   * getLanguageRule() in languages.js does: regional variants match the rule
+   * of their base language.
+   * @param {string|null} language - The language code, if known.
+   * @returns {{action: string, targetLanguage: string}|null} - The rule, or null if there is none.
+   */
+  function getLanguageRule(language) {
+    if (!language) {
+      return null;
+    }
+    const normalizedLanguage = normalizeLanguageCode(language);
+    const baseLanguage = normalizedLanguage.split("-")[0];
+    const codes = Object.keys(settings.languageRules);
+    const code =
+      codes.find((ruleCode) => ruleCode.toLowerCase() === normalizedLanguage) ||
+      codes.find(
+        (ruleCode) => ruleCode.toLowerCase().split("-")[0] === baseLanguage,
+      );
+    return code ? settings.languageRules[code] : null;
+  }
+
+  /**
+   * Checks whether posts in a language are translated without the user
+   * asking for each one, when they scroll into view or a whole thread is
+   * translated. A rule for the language decides; otherwise languages the
+   * user reads are skipped.
+   * @param {string|null} language - The language code, if known.
+   * @returns {boolean} - True if posts in the language are translated.
+   */
+  function wantsTranslation(language) {
+    const rule = getLanguageRule(language);
+    if (rule) {
+      return rule.action !== "never";
+    }
+    return !language || !isReadLanguage(language);
+  }
+
+  /**
+   * Checks whether posts are translated as they scroll into view: for every
+   * language, or for the languages the user always translates automatically.
+   * @returns {boolean} - True if automatic translation is on for some posts.
+   */
+  function isAutoTranslateEnabled() {
+    return (
+      settings.autoTranslate ||
+      Object.values(settings.languageRules).some(
+        (rule) => rule.action === "auto",
+      )
+    );
+  }
+
+  /**
+   * Checks whether the user never translates the language of a post, in
+   * which case it gets no BabbelSky translate button.
+   * @param {HTMLElement} postElement - The post element.
+   * @returns {boolean} - True if a rule says never to translate the post.
+   */
+  function isNeverTranslated(postElement) {
+    // Skip detecting the language when there are no rules
+    if (!Object.keys(settings.languageRules).length) {
+      return false;
+    }
+    const rule = getLanguageRule(getPostLanguage(postElement));
+    return !!rule && rule.action === "never";
+  }
+
+  /**
+   * Translates posts automatically as they scroll into view.
+   * Posts in a language the user reads are skipped, unless a language rule
+   * says otherwise. Posts whose language is unknown are translated, within
+   * the per-session budget.
+   * @param {IntersectionObserverEntry[]} entries - The intersection entries.
+   */
+  function handlePostIntersections(entries) {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) {
+        return;
+      }
+      const postElement = entry.target;
+      autoTranslateObserver.unobserve(postElement);
+
+      if (!isAutoTranslateEnabled() || autoTranslateBudgetExceeded) {
+        return;
+      }
+
+      const postKey = getPostKey(postElement);
+      if (
+        !postKey ||
+        autoTranslatedPosts.has(postKey) ||
+        translations.has(postKey)
+      ) {
+        return;
+      }
+
+      const language = getPostLanguage(postElement);
+      const rule = getLanguageRule(language);
+      if (
+        !wantsTranslation(language) ||
+        (!settings.autoTranslate && !(rule && rule.action === "auto"))
+      ) {
+        return;
+      }
+
+      autoTranslatedPosts.add(postKey);
+      queueAutoTranslation(postElement);
+    });
+  }
+
+  /**
+   * Handles an error from an automatic translation without interrupting the user.
+   * @param {Object} response - The error response from the background script.
+   */
+  function handleAutoTranslateError(response) {
+    if (response.code === "AUTO_TRANSLATE_BUDGET_EXCEEDED") {
+      autoTranslateBudgetExceeded = true;
+      autoTranslateObserver.disconnect();
+    }
+    console.warn("BabbelSky: Automatic translation failed:", response.error);
+  }
+
+  /**
+   * Adds the BabbelSky affordances to a post and restores its translation.
+   * @param {HTMLElement} postElement - The post element.
+   */
+  function processPost(postElement) {
+    if (!isEnabled()) {
+      return;
+    }
+    if (!isNeverTranslated(postElement)) {
+      addBabbelSkyButton(postElement);
+    }
+    restoreTranslatedText(postElement);
+    if (isAutoTranslateEnabled() && !autoTranslateBudgetExceeded) {
+      autoTranslateObserver.observe(postElement);
+    }
+  }
+
+  /**
+   * Attaches the click event listener to a "Translate" button.
+   * @param {HTMLElement} translateButton - The "Translate" button element.
+   */
+  function attachTranslateButtonListener(translateButton) {
+    if (translateButton.hasAttribute("data-babbelsky-listener")) {
+      return;
+    }
+    // Mark the button to prevent duplicate listeners
+    translateButton.setAttribute("data-babbelsky-listener", "true");
+    // Attach the event listener
+    translateButton.addEventListener("click", handleTranslateButtonClick, true);
+
+    // The "Translate" button replaces the BabbelSky button if both were added
+    const postElement = getPostElement(translateButton);
+    const babbelSkyButton =
+      postElement && postElement.querySelector(".babbelsky-translate-button");
+    if (babbelSkyButton) {
+      babbelSkyButton.remove();
+    }
+  }
+
+  /**
+   * Initializes the content script by attaching the click event listener to the "Translate" button.
+   */
+  function initialize() {
+    const translateButton = getTranslateButton();
+
+    if (translateButton) {
+      // Attach event listener to the "Translate" button
+      attachTranslateButtonListener(translateButton);
+    }
+
+    // Posts are processed once the alternative language codes are known
+    Promise.all([getStorage(Object.keys(settings)), getComposerLanguages()])
+      .then(([result]) => {
+        updateSettings(result);
+        document.querySelectorAll(postSelector).forEach(processPost);
+        updateThreadControl();
+        attachComposerBars();
+        addProfileButtons();
+      })
+      .catch((error) => {
+        console.error("BabbelSky: Failed to read settings.", error);
+      });
+  }
+
+  /**
+   * Updates the settings from stored values, keeping the defaults for unset ones.
+   * @param {Object} items - Stored values keyed by setting name.
+   */
+  function updateSettings(items) {
+    settings.translationService = items.translationService || null;
+    settings.paused = !!items.paused;
+    settings.targetLanguage = items.targetLanguage || "en";
+    settings.translationDisplay = items.translationDisplay || "below";
+    settings.readLanguages = items.readLanguages || [];
+    settings.languageRules = items.languageRules || {};
+    settings.autoTranslate = !!items.autoTranslate;
+    settings.threadContext = !!items.threadContext;
+  }
+
+  /**
+   * Keeps the settings in sync, adding or removing the BabbelSky translate
+   * buttons and automatic translation when they change.
+   */
+  function observeSettings() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const changedKeys = Object.keys(changes).filter((key) =>
+        Object.prototype.hasOwnProperty.call(settings, key),
+      );
+      if (areaName !== "sync" || !changedKeys.length) {
+        return;
+      }
+
+      getStorage(Object.keys(settings))
+        .then((result) => {
+          updateSettings(result);
+          if (!isAutoTranslateEnabled() || !isEnabled()) {
+            autoTranslateObserver.disconnect();
+          }
+          updateThreadControl();
+          attachComposerBars();
+          addProfileButtons();
+          if (isEnabled()) {
+            document.querySelectorAll(postSelector).forEach(processPost);
+          } else {
+            document
+              .querySelectorAll(".babbelsky-translate-button")
+              .forEach((button) => button.remove());
+          }
+        })
+        .catch((error) => {
+          console.error("BabbelSky: Failed to read settings.", error);
+        });
+    });
+  }
+
+  /**
+   * Observes the DOM for changes to dynamically attach event listeners to the
+   * "Translate" button and add BabbelSky buttons to new or re-rendered posts.
+   */
+  function observeTranslationButton() {
+    // Create a MutationObserver to watch for changes in the DOM
+    const observer = new MutationObserver((mutations) => {
+      const posts = new Set();
+      let profileChanged = false;
+
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType !== 1) {
+            // Not an ELEMENT_NODE
+            return;
+          }
+
+          // Check if the node or its descendants match a translation button label
+          const selector = detectedLanguage
+            ? `a[aria-label="${detectedLanguage}"]`
+            : translateButtonSelector;
+          const translateButton =
+            node.querySelector(selector) ||
+            (node.matches(selector) ? node : null);
+          if (translateButton) {
+            attachTranslateButtonListener(translateButton);
+          }
+
+          // Collect new posts, and posts that had part of their content re-rendered
+          const parentPost = getPostElement(node);
+          if (parentPost) {
+            posts.add(parentPost);
+          }
+          node
+            .querySelectorAll(postSelector)
+            .forEach((post) => posts.add(post));
+
+          attachComposerBars(node);
+          profileChanged = profileChanged || isProfileHeaderNode(node);
+        });
+      });
+
+      posts.forEach(processPost);
+      if (posts.size) {
+        updateThreadControl();
+      }
+      if (profileChanged) {
+        addProfileButtons();
+      }
     });
 
     // Start observing the document body for added nodes and subtree modifications
@@ -288,6 +3050,10 @@
     document.addEventListener("DOMContentLoaded", initialize);
   }
 
-  // Start observing for dynamically added "Translate" buttons
+  // Start observing for dynamically added "Translate" buttons and posts
   observeTranslationButton();
+  document.addEventListener("click", handleReplyButtonClick, true);
+  document.addEventListener("mouseover", handlePostMouseOver, true);
+  observeSettings();
+  observeBackgroundMessages();
 })();
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Detector script for BabbelSky extension.
- * Checks for the presence of the translation button on Bluesky posts.
+ * Checks for the presence of the translation button or of translatable posts
+ * (thread items and feed items) on Bluesky pages.
  */
 
 (function () {
@@ -32,7 +33,14 @@
   ]; // Add more as needed
 
   /**
-   * Checks for the translation button and sends a message to the background script if found.
+   * Selector matching the posts BabbelSky can translate.
+   * @type {string}
+   */
+  const postSelector =
+    '[data-testid^="postThreadItem-by-"], [data-testid^="feedItem-by-"]';
+
+  /**
+   * Checks for the translation button or a post and sends a message to the background script if found.
    */
   function checkForTranslationButton() {
     // Use the selector based on aria-label
@@ -42,7 +50,7 @@
       if (translationButton) break;
     }
 
-    if (translationButton) {
+    if (translationButton || document.querySelector(postSelector)) {
       // Disconnect the observer to stop observing changes
       observer.disconnect();
 
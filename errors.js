@@ -0,0 +1,250 @@
+// errors.js
+
+/**
+ * @fileoverview
+ * Typed errors for failed translation requests.
+ * Each error carries a code the content script and options page can act on,
+ * parsed from the HTTP status and the provider's JSON error body.
+ */
+
+/**
+ * Error codes of failed translation requests.
+ * @enum {string}
+ */
+const TranslationErrorCode = {
+  INVALID_API_KEY: "INVALID_API_KEY",
+  QUOTA_EXCEEDED: "QUOTA_EXCEEDED",
+  RATE_LIMITED: "RATE_LIMITED",
+  UNSUPPORTED_LANGUAGE: "UNSUPPORTED_LANGUAGE",
+  SERVER_ERROR: "SERVER_ERROR",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  REQUEST_FAILED: "REQUEST_FAILED",
+  NO_SERVICE_SELECTED: "NO_SERVICE_SELECTED",
+  MISSING_API_KEY: "MISSING_API_KEY",
+  DECRYPTION_FAILED: "DECRYPTION_FAILED",
+  HOST_PERMISSION_DENIED: "HOST_PERMISSION_DENIED",
+  USAGE_CAP_REACHED: "USAGE_CAP_REACHED",
+  AUTO_TRANSLATE_BUDGET_EXCEEDED: "AUTO_TRANSLATE_BUDGET_EXCEEDED",
+  LANGUAGE_NEVER_TRANSLATED: "LANGUAGE_NEVER_TRANSLATED",
+};
+
+/**
+ * Codes of errors that may succeed if the request is sent again later.
+ * @type {Set<string>}
+ */
+const retryableCodes = new Set([
+  TranslationErrorCode.RATE_LIMITED,
+  TranslationErrorCode.SERVER_ERROR,
+  TranslationErrorCode.NETWORK_ERROR,
+]);
+
+/**
+ * A failed request to a translation provider.
+ */
+class TranslationError extends Error {
+  /**
+   * @param {string} message - Message shown to the user.
+   * @param {Object} details - What went wrong.
+   * @param {string} details.code - One of TranslationErrorCode.
+   * @param {string|null} [details.providerId=null] - The provider that failed, if any.
+   * @param {number} [details.status=0] - HTTP status, or 0 if no response was received.
+   * @param {number|null} [details.retryAfter=null] - Milliseconds to wait before retrying, from Retry-After.
+   */
+  constructor(
+    message,
+    { code, providerId = null, status = 0, retryAfter = null },
+  ) {
+    super(message);
+    this.name = "TranslationError";
+    this.code = code;
+    this.providerId = providerId;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Whether the request may succeed if sent again later.
+   * @type {boolean}
+   */
+  get retryable() {
+    return retryableCodes.has(this.code);
+  }
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - The header value.
+ * @returns {number|null} - Milliseconds to wait, or null if absent or invalid.
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extracts the message and machine readable reasons from a provider's error body.
+ * Understands the OpenAI ({error: {message, code, type}}), Google
+ * ({error: {message, status, errors: [{reason}]}}), DeepL ({message}) and
+ * LibreTranslate ({error}) formats.
+ * @param {Object|string|null} body - The parsed JSON body, or the raw text.
+ * @returns {{message: string, reasons: string[]}} - The message and the reasons.
+ */
+function readErrorBody(body) {
+  if (!body) {
+    return { message: "", reasons: [] };
+  }
+  if (typeof body === "string") {
+    return { message: body.slice(0, 200), reasons: [] };
+  }
+
+  const error = body.error;
+  if (typeof error === "string") {
+    return { message: error, reasons: [] };
+  }
+  if (error && typeof error === "object") {
+    const reasons = [error.code, error.type, error.status]
+      .concat((error.errors || []).map((item) => item.reason))
+      .filter((reason) => typeof reason === "string");
+    return { message: error.message || "", reasons };
+  }
+  return { message: body.message || body.detail || "", reasons: [] };
+}
+
+/**
+ * Classifies a failed response.
+ * @param {number} status - HTTP status.
+ * @param {string} message - Message from the error body.
+ * @param {string[]} reasons - Reasons from the error body.
+ * @returns {string} - One of TranslationErrorCode.
+ */
+function classifyError(status, message, reasons) {
+  const text = `${message} ${reasons.join(" ")}`.toLowerCase();
+
+  if (
+    status === 456 ||
+    /insufficient_quota|quotaexceeded|dailylimitexceeded|quota exceeded|billing/.test(
+      text,
+    )
+  ) {
+    return TranslationErrorCode.QUOTA_EXCEEDED;
+  }
+  if (
+    status === 401 ||
+    /invalid_api_key|keyinvalid|api key not valid|invalid api key|authorization|unauthenticated/.test(
+      text,
+    )
+  ) {
+    return TranslationErrorCode.INVALID_API_KEY;
+  }
+  if (status === 429 || /ratelimitexceeded|rate limit/.test(text)) {
+    return TranslationErrorCode.RATE_LIMITED;
+  }
+  if (
+    /lang/.test(text) &&
+    /not supported|unsupported|invalid|not a valid/.test(text)
+  ) {
+    return TranslationErrorCode.UNSUPPORTED_LANGUAGE;
+  }
+  if (status === 403) {
+    return TranslationErrorCode.INVALID_API_KEY;
+  }
+  if (status >= 500) {
+    return TranslationErrorCode.SERVER_ERROR;
+  }
+  return TranslationErrorCode.REQUEST_FAILED;
+}
+
+/**
+ * User-facing messages for each error code.
+ * @type {Object<string, function(string, string): string>}
+ */
+const errorMessages = {
+  [TranslationErrorCode.INVALID_API_KEY]: (provider) =>
+    `${provider} rejected the API key. Check it on the options page.`,
+  [TranslationErrorCode.QUOTA_EXCEEDED]: (provider) =>
+    `Your ${provider} quota is used up. Check your plan or billing with ${provider}.`,
+  [TranslationErrorCode.RATE_LIMITED]: (provider) =>
+    `${provider} is receiving too many requests. Try again in a moment.`,
+  [TranslationErrorCode.UNSUPPORTED_LANGUAGE]: (provider, detail) =>
+    `${provider} does not support this language${detail ? `: ${detail}` : "."}`,
+  [TranslationErrorCode.SERVER_ERROR]: (provider) =>
+    `${provider} is having problems. Try again later.`,
+  [TranslationErrorCode.REQUEST_FAILED]: (provider, detail) =>
+    `${provider} request failed${detail ? `: ${detail}` : "."}`,
+};
+
+/**
+ * Builds the error for a failed response from a provider.
+ * @param {Response} response - The failed response.
+ * @param {{id: string, name: string}} provider - The provider that was called.
+ * @returns {Promise<TranslationError>} - The typed error.
+ */
+async function createResponseError(response, provider) {
+  let body = null;
+  try {
+    const text = await response.text();
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = text;
+    }
+  } catch (error) {
+    body = null;
+  }
+
+  const { message, reasons } = readErrorBody(body);
+  const code = classifyError(response.status, message, reasons);
+  const detail = message || response.statusText;
+
+  return new TranslationError(errorMessages[code](provider.name, detail), {
+    code,
+    providerId: provider.id,
+    status: response.status,
+    retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+  });
+}
+
+/**
+ * Builds the error for a provider server the user has not granted access to.
+ * @param {string} url - URL of the server.
+ * @param {{id: string, name: string}} provider - The provider that would call it.
+ * @returns {TranslationError} - The typed error.
+ */
+function createHostPermissionError(url, provider) {
+  return new TranslationError(
+    `BabbelSky has not been granted access to ${new URL(url).host}. Save the ${provider.name} server on the options page to grant it.`,
+    {
+      code: TranslationErrorCode.HOST_PERMISSION_DENIED,
+      providerId: provider.id,
+    },
+  );
+}
+
+/**
+ * Builds the error for a request that received no response.
+ * @param {Error} error - The error thrown by fetch.
+ * @param {{id: string, name: string}} provider - The provider that was called.
+ * @returns {TranslationError} - The typed error.
+ */
+function createNetworkError(error, provider) {
+  return new TranslationError(
+    `Could not reach ${provider.name}: ${error.message}`,
+    { code: TranslationErrorCode.NETWORK_ERROR, providerId: provider.id },
+  );
+}
+
+export {
+  TranslationError,
+  TranslationErrorCode,
+  createResponseError,
+  createNetworkError,
+  createHostPermissionError,
+  parseRetryAfter,
+};
@@ -0,0 +1,341 @@
+// languageDetector.js
+
+/**
+ * @fileoverview
+ * Offline language identifier for the BabbelSky extension.
+ * Identifies the language of a post without any network request: first by
+ * its writing system, then, for scripts shared by several languages, by
+ * comparing its letter trigrams with small per-language profiles.
+ * Injected before contentScript.js, which uses it through
+ * `globalThis.babbelSkyLanguageDetector`.
+ */
+(function () {
+  /**
+   * Writing systems used by a single language, with their Unicode ranges.
+   * @type {Array<{language: string, pattern: RegExp}>}
+   */
+  const singleLanguageScripts = [
+    { language: "ko", pattern: /[ᄀ-ᇿ㄰-㆏가-힯]/g },
+    { language: "el", pattern: /[Ͱ-Ͽἀ-῿]/g },
+    { language: "he", pattern: /[֐-׿]/g },
+    { language: "hi", pattern: /[ऀ-ॿ]/g },
+    { language: "bn", pattern: /[ঀ-৿]/g },
+    { language: "pa", pattern: /[਀-੿]/g },
+    { language: "gu", pattern: /[઀-૿]/g },
+    { language: "ta", pattern: /[஀-௿]/g },
+    { language: "te", pattern: /[ఀ-౿]/g },
+    { language: "kn", pattern: /[ಀ-೿]/g },
+    { language: "ml", pattern: /[ഀ-ൿ]/g },
+    { language: "si", pattern: /[඀-෿]/g },
+    { language: "th", pattern: /[฀-๿]/g },
+    { language: "lo", pattern: /[຀-໿]/g },
+    { language: "ka", pattern: /[Ⴀ-ჿ]/g },
+    { language: "hy", pattern: /[԰-֏]/g },
+    { language: "am", pattern: /[ሀ-፿]/g },
+    { language: "km", pattern: /[ក-៿]/g },
+  ];
+
+  /**
+   * Writing systems shared by several languages.
+   * @type {Object<string, RegExp>}
+   */
+  const sharedScripts = {
+    cjk: /[぀-ヿ㐀-䶿一-鿿]/g,
+    cyrillic: /[Ѐ-ӿ]/g,
+    arabic: /[؀-ۿݐ-ݿ]/g,
+    latin: /[a-zA-ZÀ-ɏḀ-ỿ]/g,
+  };
+
+  /**
+   * Letters that identify a language within a shared script, checked in order.
+   * Only the markers of the text's dominant script are checked, so a stray
+   * ツ in an English post doesn't make it Japanese.
+   * @type {Array<{language: string, script: string, pattern: RegExp}>}
+   */
+  const markerLetters = [
+    { language: "ja", script: "cjk", pattern: /[぀-ヿ]/ },
+    { language: "uk", script: "cyrillic", pattern: /[іїєґІЇЄҐ]/ },
+    { language: "be", script: "cyrillic", pattern: /[ўЎ]/ },
+    { language: "mk", script: "cyrillic", pattern: /[ѓќѕЃЌЅ]/ },
+    { language: "sr", script: "cyrillic", pattern: /[ђћџјљњЂЋЏЈЉЊ]/ },
+    { language: "ru", script: "cyrillic", pattern: /[ыэёЫЭЁ]/ },
+    { language: "ur", script: "arabic", pattern: /[ٹڈڑںے]/ },
+    { language: "fa", script: "arabic", pattern: /[پچژگکی]/ },
+    { language: "vi", script: "latin", pattern: /[ơưđƠƯĐẠ-ỹ]/ },
+  ];
+
+  /**
+   * Characters only used in Traditional or only in Simplified Chinese.
+   * @type {{traditional: RegExp, simplified: RegExp}}
+   */
+  const chineseVariants = {
+    traditional:
+      /[們這個說來為對會時與國學還過後問開關體點電話長東車無見讓應經樣]/g,
+    simplified:
+      /[们这个说来为对会时与国学还过后问开关体点电话长东车无见让应经样]/g,
+  };
+
+  /**
+   * Most frequent letter trigrams per language, most frequent first.
+   * "_" stands for a word boundary.
+   * @type {Object<string, Object<string, string>>}
+   */
+  const trigramProfiles = {
+    latin: {
+      en: "_th the he_ and nd_ _an _of of_ ed_ ing ng_ _to to_ _in er_ in_ is_ on_ at_ ion es_ _is re_ tio ent hat tha _it _wa for _fo or_ _be _ha it_ ly_ _yo you ou_ _re ll_ are _on st_ _wh thi his _a_ _i_",
+      es: "_de de_ _la la_ os_ _qu que ue_ _el el_ es_ en_ _en as_ _co _y_ _lo ent do_ _a_ _se ión ció on_ ra_ por _po or_ _un ado nte _pa _no no_ an_ _es est sta _su ar_ er_ al_ ien con _ha aci _me men ero ía_ ías _ll llo _ya _to tod odo _mu muy uy_ _pe pen",
+      pt: "_de de_ os_ _qu que ue_ _a_ _o_ do_ da_ _da _do ão_ ção _e_ es_ _co _se ent as_ _pa em_ _em ra_ _um um_ com nte _na _no ar_ par ara _po por or_ men ado _é_ _nã não ica sta est _vo ocê ém_ bém lho nha ão_ iss sso ois _ma mas eu_ _ta tam ovo",
+      fr: "_de de_ es_ _le le_ ent _la la_ _et et_ nt_ _qu que ue_ _pa _po on_ ion _un _en en_ _co les _l_ _d_ tio re_ _pl _es est ur_ our pas as_ ait _ne _ce _da _se ans _il il_ _je _vo ous vou",
+      de: "_de der er_ en_ die ie_ _di _un und nd_ ein ich ch_ sch _ei _ge _da den _zu _in ine _ni nic cht ht_ che _is ist st_ _si sie _au gen ter _mi mit it_ _ve ber _be _wi das as_ _ic ung ng_",
+      it: "_di di_ _ch che he_ _la la_ _il il_ _de del _co to_ re_ _e_ _un ell lla _pe per er_ _in one ne_ ent no_ _no non on_ _è_ _a_ _pr ato ion zio _se _so _ma nto _qu are _ha _si _ne tta _st sta",
+      nl: "_de de_ en_ _he het et_ _va van an_ _ee een _en _in _ij ij_ _da _is is_ _ni nie iet _op _te _ge er_ aar _di die _vo oor _me _ze _wa _we ijk lij _zi ing ng_ sch cht dat at_ _oo ook",
+      ca: "_de de_ _la la_ _qu que ue_ _el el_ es_ _i_ _le les _en en_ ent _co _pe per er_ _un _a_ ció _no no_ _es _pa _pr _am amb mb_ _ha _aq aqu _se _és _ta tam ant nt_ ts_ _ja _mo els ls_ _al",
+      sv: "_oc och ch_ _at att tt_ en_ _de _in _so som om_ _ha _är är_ _fö för ör_ _me med ed_ _en et_ _ti _va _vi _ka _ju _ma an_ ar_ er_ _på på_ _av av_ ing ng_ det _ja jag ag_ _ho",
+      da: "_og og_ _de der er_ en_ et_ _at at_ _i_ _ha _je jeg eg_ _er _på på_ _ik ikk kke ke_ _me med ed_ _so som om_ _fo for or_ _ti til il_ _en _et _af af_ _vi _ka _ma ere nde lig ige har ar_ _hv hvo sket ede dst ket gen jer",
+      no: "_og og_ _de det et_ er_ en_ _i_ _at at_ _ha har ar_ _je jeg eg_ _på på_ _ik ikk kke ke_ _me med ed_ _so som om_ _fo for or_ _ti til il_ _en _er _av av_ _vi _ka _ma ene lig ige ere kj_ skj _ei ei_ dd_ tte ett gen",
+      fi: "_ja ja_ en_ in_ _on on_ an_ ta_ sa_ _ei _se ist sta tä_ ssa _ol oli ll_ lla _ku kun _ka kan _mu _mi min _tä tää nen sen ais ksi si_ _va _ni nii ään ä_ ti_ _jo ast aa_ ii_ tta",
+      pl: "_ni nie ie_ _w_ _i_ _na na_ _si się ię_ _z_ _do _po _to to_ _ja ego go_ _pr _za ch_ ych _je jes est st_ _co _ak ak_ _że że_ ow_ ani _ch nia ać_ _mo _ta wie",
+      cs: "_a_ _je je_ _se se_ _na na_ _v_ _po _to to_ ní_ _pr pro ro_ _ne _ze ost _js jse _by _ti _ta ch_ ých _že že_ _co _ja ak_ ého _mů ter ění ně_ _sv ová",
+      tr: "_bi bir ir_ _ve ve_ ler lar ar_ er_ in_ an_ _bu bu_ _de da_ de_ _ol ını _ka _ya yor or_ en_ _ne _ço çok ok_ _gi ile le_ _ha _iç ası sı_ ini nda ıyo",
+      id: "_ya yan ang ng_ _da dan an_ _di _ak aka kan _ba _ti tid ida dak ak_ _in ini ni_ _it itu tu_ _ad ada da_ _me men _pe per _ke _se _sa _de den _un unt ntu uk_ nya ya_ _ju _ka",
+      ro: "_de de_ _și și_ _în în_ _a_ _ca _că că_ ul_ lor or_ ea_ _la la_ _nu nu_ _pe pe_ _cu cu_ _ce _un ate _ma are re_ _să să_ _fi _di _pr _co ri_ ii_ ist est _es ent nt_",
+      hu: "_a_ _az az_ _ho hog ogy gy_ _és és_ _ne nem em_ _is is_ _eg egy _me _ki _va van an_ _le en_ ek_ ak_ _ha ett _el tt_ nak sze _de _mi nek _fe ság _ke _bu ok_",
+    },
+    cyrillic: {
+      ru: "_не не_ _на на_ _и_ _в_ _чт что то_ _по ть_ ого го_ _пр ени _ко ост ст_ ет_ _то ая_ ой_ _с_ _эт это _он ов_ ых_ _за ии_ ие_ _бы ать",
+      bg: "_на на_ _не не_ _да да_ _и_ _в_ _се се_ _за за_ _от от_ _то то_ ата та_ ите те_ _по _е_ _че че_ ето _пр ова ния ни_ ъл_ _съ ъд_ _къ",
+    },
+  };
+
+  /**
+   * Letters that are frequent in a language but rare in its neighbours.
+   * Each occurrence adds to the language's trigram score.
+   * @type {Object<string, Object<string, string>>}
+   */
+  const letterHints = {
+    latin: {
+      es: "ñ",
+      pt: "ãõçê",
+      fr: "çèêëîûœ",
+      ca: "çàèòï",
+      it: "àèìòù",
+      de: "äöüß",
+      sv: "åäö",
+      da: "æøå",
+      no: "æøå",
+      fi: "äö",
+      pl: "łąęśźżń",
+      cs: "řůěčšžý",
+      tr: "şğıç",
+      ro: "șțăâî",
+      hu: "őűöü",
+    },
+    cyrillic: {
+      bg: "ъ",
+    },
+  };
+
+  /**
+   * The trigram profiles as Maps from trigram to weight, most frequent trigram weighing most.
+   * @type {Object<string, Object<string, Map<string, number>>>}
+   */
+  const trigramWeights = {};
+  Object.entries(trigramProfiles).forEach(([script, profiles]) => {
+    trigramWeights[script] = {};
+    Object.entries(profiles).forEach(([language, profile]) => {
+      const trigrams = profile.split(" ");
+      const weights = new Map();
+      trigrams.forEach((trigram, index) => {
+        const key = trigram.replace(/_/g, " ");
+        if (!weights.has(key)) {
+          weights.set(key, 1 - index / trigrams.length);
+        }
+      });
+      trigramWeights[script][language] = weights;
+    });
+  });
+
+  /**
+   * Minimum confidence for a detection to be reported.
+   * @type {number}
+   */
+  const minimumConfidence = 0.1;
+
+  /**
+   * Minimum number of letters for the language to be identified at all. Two
+   * are enough for a script used by a single language, or for Chinese.
+   * @type {number}
+   */
+  const minimumLetters = 2;
+
+  /**
+   * Minimum number of letters for trigram matching. Shorter texts such as
+   * "lol" or "ok thx" share too few trigrams with any profile to tell
+   * languages apart.
+   * @type {number}
+   */
+  const minimumTrigramLetters = 12;
+
+  /**
+   * Number of letters from which a detection gets its full confidence, by
+   * how it was made. Shorter texts get proportionally less.
+   * @type {{script: number, trigram: number}}
+   */
+  const fullConfidenceLetters = { script: 10, trigram: 40 };
+
+  /**
+   * Removes links, mentions, hashtags and anything that is not a letter.
+   * @param {string} text - The text.
+   * @returns {string} - Lowercase words separated by single spaces.
+   */
+  function normalizeText(text) {
+    return text
+      .replace(/https?:\/\/\S+|www\.\S+/g, " ")
+      .replace(/[@#][\p{L}\p{N}_.-]+/gu, " ")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}]+/gu, " ")
+      .trim();
+  }
+
+  /**
+   * Counts the characters of a text matching a pattern.
+   * @param {string} text - The text.
+   * @param {RegExp} pattern - A global pattern.
+   * @returns {number} - The number of matches.
+   */
+  function countMatches(text, pattern) {
+    const matches = text.match(pattern);
+    return matches ? matches.length : 0;
+  }
+
+  /**
+   * Lowers the confidence of a detection made from a short text.
+   * @param {number} confidence - The confidence the text's letters give.
+   * @param {number} letterCount - The number of letters in the text.
+   * @param {number} fullLength - Number of letters from which the confidence is kept as it is.
+   * @returns {number} - The scaled confidence.
+   */
+  function scaleConfidence(confidence, letterCount, fullLength) {
+    return confidence * Math.min(1, letterCount / fullLength);
+  }
+
+  /**
+   * Picks the language whose trigram profile best matches the text.
+   * @param {string} text - Normalized text.
+   * @param {Object<string, Map<string, number>>} profiles - Trigram weights per language.
+   * @param {Object<string, string>} hints - Letter hints per language.
+   * @returns {{language: string, confidence: number}|null} - The best match, or null if nothing matched.
+   */
+  function matchTrigrams(text, profiles, hints) {
+    const padded = ` ${text} `;
+    const scores = {};
+    Object.keys(profiles).forEach((language) => (scores[language] = 0));
+
+    for (const letter of text) {
+      Object.entries(hints).forEach(([language, hintLetters]) => {
+        if (hintLetters.includes(letter)) {
+          scores[language] += 1;
+        }
+      });
+    }
+
+    for (let i = 0; i < padded.length - 2; i++) {
+      const trigram = padded.slice(i, i + 3);
+      Object.entries(profiles).forEach(([language, weights]) => {
+        scores[language] += weights.get(trigram) || 0;
+      });
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestLanguage, bestScore] = ranked[0];
+    const secondScore = ranked.length > 1 ? ranked[1][1] : 0;
+    if (bestScore === 0) {
+      return null;
+    }
+    return {
+      language: bestLanguage,
+      confidence: (bestScore - secondScore) / bestScore,
+    };
+  }
+
+  /**
+   * Identifies the language of a text.
+   * @param {string} text - The text, e.g. a post.
+   * @returns {{language: string, confidence: number}|null} - The language code
+   *   (as used in BabbelSky's language list) and a confidence between 0 and 1,
+   *   or null if the language is unknown, e.g. because the text is too short.
+   */
+  function detectLanguage(text) {
+    const normalized = normalizeText(text || "");
+    const letters = normalized.replace(/ /g, "");
+    if (letters.length < minimumLetters) {
+      return null;
+    }
+
+    // Find the dominant writing system
+    const scriptCounts = singleLanguageScripts.map(({ language, pattern }) => ({
+      language,
+      script: null,
+      count: countMatches(letters, pattern),
+    }));
+    Object.entries(sharedScripts).forEach(([script, pattern]) => {
+      scriptCounts.push({
+        language: null,
+        script,
+        count: countMatches(letters, pattern),
+      });
+    });
+    const dominant = scriptCounts.sort((a, b) => b.count - a.count)[0];
+    if (!dominant.count) {
+      return null;
+    }
+    const scriptConfidence = scaleConfidence(
+      dominant.count / letters.length,
+      dominant.count,
+      fullConfidenceLetters.script,
+    );
+
+    let result = null;
+    const marker = markerLetters.find(
+      ({ script, pattern }) =>
+        script === dominant.script && pattern.test(letters),
+    );
+    if (dominant.language) {
+      result = { language: dominant.language, confidence: scriptConfidence };
+    } else if (marker) {
+      result = { language: marker.language, confidence: scriptConfidence };
+    } else if (dominant.script === "cjk") {
+      const traditional = countMatches(letters, chineseVariants.traditional);
+      const simplified = countMatches(letters, chineseVariants.simplified);
+      result = {
+        language: traditional > simplified ? "zh-TW" : "zh-CN",
+        confidence: scriptConfidence,
+      };
+    } else if (dominant.script === "arabic") {
+      result = { language: "ar", confidence: scriptConfidence };
+    } else if (
+      trigramWeights[dominant.script] &&
+      letters.length >= minimumTrigramLetters
+    ) {
+      result = matchTrigrams(
+        normalized,
+        trigramWeights[dominant.script],
+        letterHints[dominant.script] || {},
+      );
+      if (result) {
+        result.confidence = scaleConfidence(
+          result.confidence * (dominant.count / letters.length),
+          letters.length,
+          fullConfidenceLetters.trigram,
+        );
+      }
+    }
+
+    if (!result || result.confidence < minimumConfidence) {
+      return null;
+    }
+    return result;
+  }
+
+  globalThis.babbelSkyLanguageDetector = { detectLanguage };
+})();
@@ -0,0 +1,208 @@
+// languages.js
+
+/**
+ * An array of objects representing supported languages for translation.
+ * Each object contains the language's name and its corresponding language code.
+ *
+ * @constant {Array<{name: string, code: string}>}
+ * @property {string} name - The full name of the language (e.g., "English").
+ * @property {string} code - The language code (e.g., "en").
+ */
+const languages = [
+  { name: "Abkhaz", code: "ab" },
+  { name: "Acehnese", code: "ace" },
+  { name: "Acholi", code: "ach" },
+  { name: "Afrikaans", code: "af" },
+  { name: "Albanian", code: "sq" },
+  { name: "Alur", code: "alz" },
+  { name: "Amharic", code: "am" },
+  { name: "Arabic", code: "ar" },
+  { name: "Armenian", code: "hy" },
+  { name: "Assamese", code: "as" },
+  { name: "Awadhi", code: "awa" },
+  { name: "Aymara", code: "ay" },
+  { name: "Azerbaijani", code: "az" },
+  { name: "Balinese", code: "ban" },
+  { name: "Bambara", code: "bm" },
+  { name: "Bashkir", code: "ba" },
+  { name: "Basque", code: "eu" },
+  { name: "Batak Karo", code: "btx" },
+  { name: "Batak Simalungun", code: "bts" },
+  { name: "Batak Toba", code: "bbc" },
+  { name: "Belarusian", code: "be" },
+  { name: "Bemba", code: "bem" },
+  { name: "Bengali", code: "bn" },
+  { name: "Betawi", code: "bew" },
+  { name: "Bhojpuri", code: "bho" },
+  { name: "Bikol", code: "bik" },
+  { name: "Bosnian", code: "bs" },
+  { name: "Breton", code: "br" },
+  { name: "Bulgarian", code: "bg" },
+  { name: "Buryat", code: "bua" },
+  { name: "Cantonese", code: "yue" },
+  { name: "Catalan", code: "ca" },
+  { name: "Cebuano", code: "ceb" },
+  { name: "Chichewa (Nyanja)", code: "ny" },
+  { name: "Chinese (Simplified)", code: "zh-CN" },
+  { name: "Chinese (Traditional)", code: "zh-TW" },
+  { name: "Chuvash", code: "cv" },
+  { name: "Corsican", code: "co" },
+  { name: "Crimean Tatar", code: "crh" },
+  { name: "Croatian", code: "hr" },
+  { name: "Czech", code: "cs" },
+  { name: "Danish", code: "da" },
+  { name: "Dinka", code: "din" },
+  { name: "Divehi", code: "dv" },
+  { name: "Dogri", code: "doi" },
+  { name: "Dombe", code: "dov" },
+  { name: "Dutch", code: "nl" },
+  { name: "Dzongkha", code: "dz" },
+  { name: "English", code: "en" },
+  { name: "Esperanto", code: "eo" },
+  { name: "Estonian", code: "et" },
+  { name: "Ewe", code: "ee" },
+  { name: "Fijian", code: "fj" },
+  { name: "Filipino (Tagalog)", code: "fil" },
+  { name: "Finnish", code: "fi" },
+  { name: "French", code: "fr" },
+  { name: "Frisian", code: "fy" },
+  { name: "Galician", code: "gl" },
+  { name: "Georgian", code: "ka" },
+  { name: "German", code: "de" },
+  { name: "Greek", code: "el" },
+  { name: "Gujarati", code: "gu" },
+  { name: "Haitian Creole", code: "ht" },
+  { name: "Hausa", code: "ha" },
+  { name: "Hawaiian", code: "haw" },
+  { name: "Hebrew", code: "he" },
+  { name: "Hindi", code: "hi" },
+  { name: "Hmong", code: "hmn" },
+  { name: "Hungarian", code: "hu" },
+  { name: "Icelandic", code: "is" },
+  { name: "Igbo", code: "ig" },
+  { name: "Indonesian", code: "id" },
+  { name: "Irish", code: "ga" },
+  { name: "Italian", code: "it" },
+  { name: "Japanese", code: "ja" },
+  { name: "Javanese", code: "jw" },
+  { name: "Kannada", code: "kn" },
+  { name: "Kazakh", code: "kk" },
+  { name: "Khmer", code: "km" },
+  { name: "Korean", code: "ko" },
+  { name: "Kurdish (Kurmanji)", code: "ku" },
+  { name: "Kurdish (Sorani)", code: "ckb" },
+  { name: "Kyrgyz", code: "ky" },
+  { name: "Lao", code: "lo" },
+  { name: "Latvian", code: "lv" },
+  { name: "Lithuanian", code: "lt" },
+  { name: "Luxembourgish", code: "lb" },
+  { name: "Macedonian", code: "mk" },
+  { name: "Malay", code: "ms" },
+  { name: "Malayalam", code: "ml" },
+  { name: "Maltese", code: "mt" },
+  { name: "Maori", code: "mi" },
+  { name: "Marathi", code: "mr" },
+  { name: "Mongolian", code: "mn" },
+  { name: "Nepali", code: "ne" },
+  { name: "Norwegian", code: "no" },
+  { name: "Pashto", code: "ps" },
+  { name: "Persian", code: "fa" },
+  { name: "Polish", code: "pl" },
+  { name: "Portuguese", code: "pt" },
+  { name: "Punjabi", code: "pa" },
+  { name: "Romanian", code: "ro" },
+  { name: "Russian", code: "ru" },
+  { name: "Serbian", code: "sr" },
+  { name: "Sinhala", code: "si" },
+  { name: "Slovak", code: "sk" },
+  { name: "Slovenian", code: "sl" },
+  { name: "Somali", code: "so" },
+  { name: "Spanish", code: "es" },
+  { name: "Swahili", code: "sw" },
+  { name: "Swedish", code: "sv" },
+  { name: "Tajik", code: "tg" },
+  { name: "Tamil", code: "ta" },
+  { name: "Telugu", code: "te" },
+  { name: "Thai", code: "th" },
+  { name: "Turkish", code: "tr" },
+  { name: "Ukrainian", code: "uk" },
+  { name: "Urdu", code: "ur" },
+  { name: "Uzbek", code: "uz" },
+  { name: "Vietnamese", code: "vi" },
+  { name: "Welsh", code: "cy" },
+  { name: "Zulu", code: "zu" },
+];
+
+/**
+ * Language codes some services and pages use that differ from the codes in `languages`.
+ * @type {Object<string, string>}
+ */
+const languageCodeAliases = {
+  iw: "he",
+  zh: "zh-CN",
+  "zh-Hans": "zh-CN",
+  "zh-Hant": "zh-TW",
+  tl: "fil",
+  nb: "no",
+  jv: "jw",
+};
+
+/**
+ * Maps an alternative language code to the code BabbelSky uses for it, and
+ * lowercases it for comparison.
+ * @param {string} code - The language code.
+ * @returns {string} - The normalized code, e.g. "he" for "iw".
+ */
+function normalizeLanguageCode(code) {
+  return (languageCodeAliases[code] || code).toLowerCase();
+}
+
+/**
+ * Returns the name of a language.
+ * Codes are matched case-insensitively, then by their base language (e.g. "pt-BR" matches "pt").
+ * @param {string} code - The language code.
+ * @returns {string|null} - The language name, or null if the language is unknown.
+ */
+function getLanguageName(code) {
+  if (!code) {
+    return null;
+  }
+  const normalizedCode = normalizeLanguageCode(code);
+  const baseCode = normalizedCode.split("-")[0];
+  const language =
+    languages.find((lang) => lang.code.toLowerCase() === normalizedCode) ||
+    languages.find((lang) => lang.code.toLowerCase() === baseCode);
+  return language ? language.name : null;
+}
+
+/**
+ * What the user wants done with posts in a source language, set on the
+ * options page and stored in the languageRules setting, keyed by language code.
+ * @typedef {Object} LanguageRule
+ * @property {string} action - "never" to never translate posts automatically,
+ *   "auto" to always translate them automatically, or "target" to translate
+ *   them into targetLanguage instead of the target language.
+ * @property {string} [targetLanguage] - The language to translate into, for "target".
+ */
+
+/**
+ * Returns the rule the user set for a source language.
+ * Codes are matched case-insensitively, then by their base language (e.g. "pt-BR" matches "pt").
+ * @param {Object<string, LanguageRule>} languageRules - The rules, keyed by language code.
+ * @param {string|null} code - The source language code, if known.
+ * @returns {LanguageRule|null} - The rule, or null if there is none.
+ */
+function getLanguageRule(languageRules, code) {
+  if (!code || !languageRules) {
+    return null;
+  }
+  const normalizedCode = normalizeLanguageCode(code);
+  const baseCode = normalizedCode.split("-")[0];
+  const codes = Object.keys(languageRules);
+  const ruleCode =
+    codes.find((ruleKey) => ruleKey.toLowerCase() === normalizedCode) ||
+    codes.find((ruleKey) => ruleKey.toLowerCase().split("-")[0] === baseCode);
+  return ruleCode ? languageRules[ruleCode] : null;
+}
+
+export { languages, languageCodeAliases, getLanguageName, getLanguageRule };
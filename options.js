@@ -1,304 +1,50 @@
 // options.js
 
-/**
- * Promisified version of chrome.storage.sync.get.
- * @param {string[]|Object} keys - Keys to retrieve.
- * @returns {Promise<Object>} - Promise resolving to retrieved items.
- */
-function getStorage(keys) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.sync.get(keys, (items) => {
-      if (chrome.runtime.lastError) {
-        reject(chrome.runtime.lastError);
-      } else {
-        resolve(items);
-      }
-    });
-  });
-}
+import {
+  getProvider,
+  getProviders,
+  getProviderStorageKeys,
+  supportsLanguage,
+} from "./providers/index.js";
+import {
+  defaultOpenAIPrompt,
+  defaultOpenAISystemPrompt,
+  tonePresets,
+} from "./providers/openai.js";
+import { clearTranslationCache, getTranslationCacheSize } from "./cache.js";
+import { estimateMonthlyCost, getUsageSummary } from "./usage.js";
+import { languages } from "./languages.js";
+import {
+  arrayBufferToBase64,
+  decryptData,
+  getEncryptionKey,
+  getOriginPattern,
+  getStorage,
+  setStorage,
+} from "./utils.js";
 
 /**
- * Promisified version of chrome.storage.sync.set.
- * @param {Object} items - Items to store.
- * @returns {Promise<void>}
+ * Provider settings on the options page and their default values.
+ * Each setting is stored in chrome.storage.sync under the ID of its field.
+ * @type {Object<string, string>}
  */
-function setStorage(items) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.sync.set(items, () => {
-      if (chrome.runtime.lastError) {
-        reject(chrome.runtime.lastError);
-      } else {
-        resolve();
-      }
-    });
-  });
-}
+const providerSettingDefaults = {
+  openaiModel: "",
+  openaiSystemPrompt: defaultOpenAISystemPrompt,
+  openaiTone: "natural",
+  openaiTemperature: "",
+  openaiMaxTokens: "",
+  openaiCompatibleModel: "",
+  openaiCompatibleAuthHeader: "bearer",
+  openaiCompatibleApiVersion: "",
+  deeplFormality: "default",
+};
 
 /**
- * Retrieves or generates the encryption key used for API keys.
- * @returns {Promise<CryptoKey>} - The encryption key.
+ * Default number of automatic translations allowed per browser session.
+ * @type {number}
  */
-async function getEncryptionKey() {
-  const localItems = await getLocalStorage(["encryptionKey"]);
-  let key = null;
-
-  if (localItems.encryptionKey) {
-    // Key exists, import it
-    const rawKey = base64ToArrayBuffer(localItems.encryptionKey);
-    key = await window.crypto.subtle.importKey(
-      "raw",
-      rawKey,
-      { name: "AES-GCM" },
-      true,
-      ["encrypt", "decrypt"],
-    );
-  } else {
-    // Generate a new key
-    key = await window.crypto.subtle.generateKey(
-      {
-        name: "AES-GCM",
-        length: 256,
-      },
-      true,
-      ["encrypt", "decrypt"],
-    );
-
-    // Export and store the key
-    const exportedKey = await window.crypto.subtle.exportKey("raw", key);
-    const exportedKeyBase64 = arrayBufferToBase64(exportedKey);
-    await setLocalStorage({ encryptionKey: exportedKeyBase64 });
-  }
-
-  return key;
-}
-
-/**
- * Decrypts data using the provided encryption key.
- * @param {CryptoKey} key - The encryption key.
- * @param {string} ivBase64 - The Base64 encoded IV.
- * @param {string} ciphertextBase64 - The Base64 encoded ciphertext.
- * @returns {Promise<string>} - The decrypted plaintext data.
- */
-async function decryptData(key, ivBase64, ciphertextBase64) {
-  const decoder = new TextDecoder();
-  const iv = new Uint8Array(base64ToArrayBuffer(ivBase64));
-  const ciphertext = base64ToArrayBuffer(ciphertextBase64);
-
-  try {
-    const decrypted = await window.crypto.subtle.decrypt(
-      {
-        name: "AES-GCM",
-        iv,
-      },
-      key,
-      ciphertext,
-    );
-    return decoder.decode(decrypted);
-  } catch (e) {
-    console.error("BabbelSky: Decryption failed:", e);
-    throw new Error("Failed to decrypt data. Possible data corruption.");
-  }
-}
-
-/**
- * Converts an ArrayBuffer to a Base64 string.
- * @param {ArrayBuffer} buffer - The buffer to convert.
- * @returns {string} - Base64 encoded string.
- */
-function arrayBufferToBase64(buffer) {
-  let binary = "";
-  const bytes = new Uint8Array(buffer);
-  bytes.forEach((b) => (binary += String.fromCharCode(b)));
-  return window.btoa(binary);
-}
-
-/**
- * Converts a Base64 string to an ArrayBuffer.
- * @param {string} base64 - The Base64 string to convert.
- * @returns {ArrayBuffer} - The resulting ArrayBuffer.
- */
-function base64ToArrayBuffer(base64) {
-  const binary = window.atob(base64);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i++) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-  return bytes.buffer;
-}
-
-/**
- * Promisified version of chrome.storage.local.get.
- * @param {string[]|Object} keys - Keys to retrieve.
- * @returns {Promise<Object>} - Promise resolving to retrieved items.
- */
-function getLocalStorage(keys) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get(keys, (items) => {
-      if (chrome.runtime.lastError) {
-        reject(chrome.runtime.lastError);
-      } else {
-        resolve(items);
-      }
-    });
-  });
-}
-
-/**
- * Promisified version of chrome.storage.local.set.
- * @param {Object} items - Items to store.
- * @returns {Promise<void>}
- */
-function setLocalStorage(items) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.set(items, () => {
-      if (chrome.runtime.lastError) {
-        reject(chrome.runtime.lastError);
-      } else {
-        resolve();
-      }
-    });
-  });
-}
-
-/**
- * Default OpenAI translation prompt.
- * @type {string}
- */
-const defaultOpenAIPrompt =
-  "Translate the following text to natural {TARGET}:\n\n{TEXT}";
-
-/**
- * An array of objects representing supported languages for translation.
- * Each object contains the language's name and its corresponding language code.
- *
- * @constant {Array<{name: string, code: string}>}
- * @property {string} name - The full name of the language (e.g., "English").
- * @property {string} code - The language code (e.g., "en").
- */
-const languages = [
-  { name: "Abkhaz", code: "ab" },
-  { name: "Acehnese", code: "ace" },
-  { name: "Acholi", code: "ach" },
-  { name: "Afrikaans", code: "af" },
-  { name: "Albanian", code: "sq" },
-  { name: "Alur", code: "alz" },
-  { name: "Amharic", code: "am" },
-  { name: "Arabic", code: "ar" },
-  { name: "Armenian", code: "hy" },
-  { name: "Assamese", code: "as" },
-  { name: "Awadhi", code: "awa" },
-  { name: "Aymara", code: "ay" },
-  { name: "Azerbaijani", code: "az" },
-  { name: "Balinese", code: "ban" },
-  { name: "Bambara", code: "bm" },
-  { name: "Bashkir", code: "ba" },
-  { name: "Basque", code: "eu" },
-  { name: "Batak Karo", code: "btx" },
-  { name: "Batak Simalungun", code: "bts" },
-  { name: "Batak Toba", code: "bbc" },
-  { name: "Belarusian", code: "be" },
-  { name: "Bemba", code: "bem" },
-  { name: "Bengali", code: "bn" },
-  { name: "Betawi", code: "bew" },
-  { name: "Bhojpuri", code: "bho" },
-  { name: "Bikol", code: "bik" },
-  { name: "Bosnian", code: "bs" },
-  { name: "Breton", code: "br" },
-  { name: "Bulgarian", code: "bg" },
-  { name: "Buryat", code: "bua" },
-  { name: "Cantonese", code: "yue" },
-  { name: "Catalan", code: "ca" },
-  { name: "Cebuano", code: "ceb" },
-  { name: "Chichewa (Nyanja)", code: "ny" },
-  { name: "Chinese (Simplified)", code: "zh-CN" },
-  { name: "Chinese (Traditional)", code: "zh-TW" },
-  { name: "Chuvash", code: "cv" },
-  { name: "Corsican", code: "co" },
-  { name: "Crimean Tatar", code: "crh" },
-  { name: "Croatian", code: "hr" },
-  { name: "Czech", code: "cs" },
-  { name: "Danish", code: "da" },
-  { name: "Dinka", code: "din" },
-  { name: "Divehi", code: "dv" },
-  { name: "Dogri", code: "doi" },
-  { name: "Dombe", code: "dov" },
-  { name: "Dutch", code: "nl" },
-  { name: "Dzongkha", code: "dz" },
-  { name: "English", code: "en" },
-  { name: "Esperanto", code: "eo" },
-  { name: "Estonian", code: "et" },
-  { name: "Ewe", code: "ee" },
-  { name: "Fijian", code: "fj" },
-  { name: "Filipino (Tagalog)", code: "fil" },
-  { name: "Finnish", code: "fi" },
-  { name: "French", code: "fr" },
-  { name: "Frisian", code: "fy" },
-  { name: "Galician", code: "gl" },
-  { name: "Georgian", code: "ka" },
-  { name: "German", code: "de" },
-  { name: "Greek", code: "el" },
-  { name: "Gujarati", code: "gu" },
-  { name: "Haitian Creole", code: "ht" },
-  { name: "Hausa", code: "ha" },
-  { name: "Hawaiian", code: "haw" },
-  { name: "Hebrew", code: "he" },
-  { name: "Hindi", code: "hi" },
-  { name: "Hmong", code: "hmn" },
-  { name: "Hungarian", code: "hu" },
-  { name: "Icelandic", code: "is" },
-  { name: "Igbo", code: "ig" },
-  { name: "Indonesian", code: "id" },
-  { name: "Irish", code: "ga" },
-  { name: "Italian", code: "it" },
-  { name: "Japanese", code: "ja" },
-  { name: "Javanese", code: "jw" },
-  { name: "Kannada", code: "kn" },
-  { name: "Kazakh", code: "kk" },
-  { name: "Khmer", code: "km" },
-  { name: "Korean", code: "ko" },
-  { name: "Kurdish (Kurmanji)", code: "ku" },
-  { name: "Kurdish (Sorani)", code: "ckb" },
-  { name: "Kyrgyz", code: "ky" },
-  { name: "Lao", code: "lo" },
-  { name: "Latvian", code: "lv" },
-  { name: "Lithuanian", code: "lt" },
-  { name: "Luxembourgish", code: "lb" },
-  { name: "Macedonian", code: "mk" },
-  { name: "Malay", code: "ms" },
-  { name: "Malayalam", code: "ml" },
-  { name: "Maltese", code: "mt" },
-  { name: "Maori", code: "mi" },
-  { name: "Marathi", code: "mr" },
-  { name: "Mongolian", code: "mn" },
-  { name: "Nepali", code: "ne" },
-  { name: "Norwegian", code: "no" },
-  { name: "Pashto", code: "ps" },
-  { name: "Persian", code: "fa" },
-  { name: "Polish", code: "pl" },
-  { name: "Portuguese", code: "pt" },
-  { name: "Punjabi", code: "pa" },
-  { name: "Romanian", code: "ro" },
-  { name: "russian", code: "ru" },
-  { name: "Serbian", code: "sr" },
-  { name: "Sinhala", code: "si" },
-  { name: "Slovak", code: "sk" },
-  { name: "Slovenian", code: "sl" },
-  { name: "Somali", code: "so" },
-  { name: "Spanish", code: "es" },
-  { name: "Swahili", code: "sw" },
-  { name: "Swedish", code: "sv" },
-  { name: "Tajik", code: "tg" },
-  { name: "Tamil", code: "ta" },
-  { name: "Telugu", code: "te" },
-  { name: "Thai", code: "th" },
-  { name: "Turkish", code: "tr" },
-  { name: "Ukrainian", code: "uk" },
-  { name: "Urdu", code: "ur" },
-  { name: "Uzbek", code: "uz" },
-  { name: "Vietnamese", code: "vi" },
-  { name: "Welsh", code: "cy" },
-  { name: "Zulu", code: "zu" },
-];
+const defaultAutoTranslateBudget = 50;
 
 /**
  * Promisified version of chrome.storage.sync.remove.
@@ -375,13 +121,191 @@ function displayMessage(message, type) {
   }, 5000);
 }
 
+/**
+ * Returns the ID of the options page input for a provider credential.
+ * @param {Object} provider - The translation provider.
+ * @param {Object} credential - The provider credential.
+ * @returns {string} - The input element ID.
+ */
+function getCredentialInputId(provider, credential) {
+  return `${provider.id}-${credential.key}`;
+}
+
+/**
+ * Returns the service checkbox for a provider.
+ * @param {Object} provider - The translation provider.
+ * @returns {HTMLInputElement} - The checkbox element.
+ */
+function getServiceCheckbox(provider) {
+  return document.getElementById(`service${provider.id}`);
+}
+
+/**
+ * Returns the credentials a provider cannot work without.
+ * @param {Object} provider - The translation provider.
+ * @returns {Object[]} - The required credentials.
+ */
+function getRequiredCredentials(provider) {
+  return provider.credentials.filter((credential) => !credential.optional);
+}
+
+/**
+ * Checks whether every required credential of a provider has been entered.
+ * @param {Object} provider - The translation provider.
+ * @returns {boolean} - True if the provider is fully configured.
+ */
+function isProviderConfigured(provider) {
+  return getRequiredCredentials(provider).every(
+    (credential) =>
+      document
+        .getElementById(getCredentialInputId(provider, credential))
+        .value.trim() !== "",
+  );
+}
+
+/**
+ * Returns the provider whose service checkbox is checked.
+ * @returns {Object|null} - The selected provider or null.
+ */
+function getSelectedProvider() {
+  return (
+    getProviders().find((provider) => getServiceCheckbox(provider).checked) ||
+    null
+  );
+}
+
+/**
+ * Returns the origin patterns of every entered URL credential that needs a runtime host permission.
+ * @returns {string[]} - Origin match patterns (e.g. "http://localhost/*").
+ * @throws {Error} - If a URL credential is not a valid http(s) URL.
+ */
+function getRequiredOrigins() {
+  const origins = [];
+
+  getProviders().forEach((provider) => {
+    provider.credentials
+      .filter((credential) => credential.hostPermission)
+      .forEach((credential) => {
+        const value = document
+          .getElementById(getCredentialInputId(provider, credential))
+          .value.trim();
+        if (!value) {
+          return;
+        }
+
+        let url = null;
+        try {
+          url = new URL(value);
+        } catch (e) {
+          url = null;
+        }
+        if (!url || !["http:", "https:"].includes(url.protocol)) {
+          throw new Error(`${credential.label} must be an http(s) URL.`);
+        }
+        origins.push(getOriginPattern(url));
+      });
+  });
+
+  return origins;
+}
+
+/**
+ * Promisified version of chrome.permissions.request.
+ * Must be called while handling a user gesture.
+ * @param {string[]} origins - Origin match patterns to request.
+ * @returns {Promise<boolean>} - Whether the permissions were granted.
+ */
+function requestHostPermissions(origins) {
+  return new Promise((resolve, reject) => {
+    chrome.permissions.request({ origins }, (granted) => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve(granted);
+      }
+    });
+  });
+}
+
+/**
+ * Reads the provider settings fields.
+ * @returns {Object<string, string>} - Setting values keyed by storage key.
+ */
+function readProviderSettings() {
+  const settings = {};
+  Object.keys(providerSettingDefaults).forEach((id) => {
+    settings[id] = document.getElementById(id).value.trim();
+  });
+  return settings;
+}
+
+/**
+ * Reads the automatic translation settings.
+ * @returns {{autoTranslate: boolean, readLanguages: string[], autoTranslateBudget: number}} - The settings.
+ */
+function readAutoTranslateSettings() {
+  const budget = parseInt(
+    document.getElementById("autoTranslateBudget").value,
+    10,
+  );
+  return {
+    autoTranslate: document.getElementById("autoTranslate").checked,
+    readLanguages: Array.from(
+      document.getElementById("readLanguages").selectedOptions,
+    ).map((option) => option.value),
+    autoTranslateBudget:
+      Number.isNaN(budget) || budget < 0 ? defaultAutoTranslateBudget : budget,
+  };
+}
+
+/**
+ * Reads the monthly usage limits. Providers without a limit are left out.
+ * @returns {{usageCaps: Object<string, import("./usage.js").UsageCap>}} - The limits, keyed by provider ID.
+ */
+function readUsageCaps() {
+  const usageCaps = {};
+  getProviders().forEach((provider) => {
+    const characters = parseInt(
+      document.getElementById(`usageCap-${provider.id}`).value,
+      10,
+    );
+    const tokenInput = document.getElementById(`usageTokenCap-${provider.id}`);
+    const tokens = tokenInput ? parseInt(tokenInput.value, 10) : 0;
+    if (characters > 0 || tokens > 0) {
+      usageCaps[provider.id] = {
+        ...(characters > 0 ? { characters } : {}),
+        ...(tokens > 0 ? { tokens } : {}),
+        mode: document.getElementById(`usageCapMode-${provider.id}`).value,
+      };
+    }
+  });
+  return { usageCaps };
+}
+
+/**
+ * Reads the rules by language. A later rule for the same language replaces
+ * an earlier one.
+ * @returns {{languageRules: Object<string, import("./languages.js").LanguageRule>}} - The rules,
+ *   keyed by source language code.
+ */
+function readLanguageRules() {
+  const languageRules = {};
+  document.querySelectorAll("#languageRules li").forEach((item) => {
+    const action = item.querySelector(".rule-action").value;
+    const rule = { action };
+    if (action === "target") {
+      rule.targetLanguage = item.querySelector(".rule-target").value;
+    }
+    languageRules[item.querySelector(".rule-language").value] = rule;
+  });
+  return { languageRules };
+}
+
 /**
  * Saves options to chrome.storage.sync with encryption.
  * @returns {Promise<void>}
  */
 async function saveOptions() {
-  const googleApiKey = document.getElementById("googleApiKey").value.trim();
-  const openaiApiKey = document.getElementById("openaiApiKey").value.trim();
   const targetLanguage = document.getElementById("targetLanguage").value;
   const targetLanguageName = languages.find(
     (lang) => lang.code === targetLanguage,
@@ -395,14 +319,22 @@ async function saveOptions() {
   }
 
   // Get selected translation service
-  let translationService = null;
-  const serviceOpenAI = document.getElementById("serviceOpenAI");
-  const serviceGoogle = document.getElementById("serviceGoogle");
-
-  if (serviceOpenAI.checked && openaiApiKey) {
-    translationService = "OpenAI";
-  } else if (serviceGoogle.checked && googleApiKey) {
-    translationService = "Google";
+  const selectedProvider = getSelectedProvider();
+  const translationService =
+    selectedProvider && isProviderConfigured(selectedProvider)
+      ? selectedProvider.id
+      : null;
+
+  // Request access to user-configured servers while still handling the click
+  let permissionRequest = null;
+  try {
+    const origins = getRequiredOrigins();
+    permissionRequest = origins.length
+      ? requestHostPermissions(origins)
+      : Promise.resolve(true);
+  } catch (error) {
+    displayMessage(error.message, "error");
+    return;
   }
 
   try {
@@ -413,38 +345,48 @@ async function saveOptions() {
       targetLanguage,
       targetLanguageName,
       openaiPrompt,
+      ...readProviderSettings(),
       translationService,
+      fallbackServices: readFallbackServices(),
+      translationDisplay: document.getElementById("translationDisplay").value,
+      threadContext: document.getElementById("threadContext").checked,
+      ...readAutoTranslateSettings(),
+      ...readLanguageRules(),
+      ...readUsageCaps(),
     };
-
-    // Encrypt and set Google API Key if provided
-    if (googleApiKey) {
-      const encryptedGoogleData = await encryptData(key, googleApiKey);
-      itemsToSet.encryptedGoogleApiKey = JSON.stringify(encryptedGoogleData);
-    }
-
-    // Encrypt and set OpenAI API Key if provided
-    if (openaiApiKey) {
-      const encryptedOpenAIData = await encryptData(key, openaiApiKey);
-      itemsToSet.encryptedOpenaiApiKey = JSON.stringify(encryptedOpenAIData);
+    const keysToRemove = [];
+
+    // Encrypt and set each provider credential, or remove it if not provided
+    for (const provider of getProviders()) {
+      for (const credential of provider.credentials) {
+        const value = document
+          .getElementById(getCredentialInputId(provider, credential))
+          .value.trim();
+        if (value && credential.secret === false) {
+          itemsToSet[credential.storageKey] = value;
+        } else if (value) {
+          const encryptedData = await encryptData(key, value);
+          itemsToSet[credential.storageKey] = JSON.stringify(encryptedData);
+        } else {
+          keysToRemove.push(credential.storageKey);
+        }
+      }
     }
 
     // Set the encrypted API keys and other settings
     await setStorage(itemsToSet);
 
-    // Remove Google API Key from storage if not provided
-    if (!googleApiKey) {
-      await removeStorage(["encryptedGoogleApiKey"]);
+    // Remove credentials that were not provided
+    if (keysToRemove.length) {
+      await removeStorage(keysToRemove);
     }
 
-    // Remove OpenAI API Key from storage if not provided
-    if (!openaiApiKey) {
-      await removeStorage(["encryptedOpenaiApiKey"]);
-    }
-
-    // Update translationService based on the presence of API keys
-    if (!translationService) {
-      // If no translation service is selected, set translationService to null
-      await setStorage({ translationService: null });
+    if (!(await permissionRequest)) {
+      displayMessage(
+        "Settings saved, but access to your translation server was not granted.",
+        "error",
+      );
+      return;
     }
 
     // Provide user feedback
@@ -462,50 +404,48 @@ async function saveOptions() {
 async function loadOptions() {
   try {
     const items = await getStorage([
-      "encryptedGoogleApiKey",
-      "encryptedOpenaiApiKey",
       "targetLanguage",
       "openaiPrompt",
       "translationService",
+      "fallbackServices",
+      "translationDisplay",
+      "threadContext",
+      "autoTranslate",
+      "readLanguages",
+      "autoTranslateBudget",
+      "usageCaps",
+      "languageRules",
+      ...Object.keys(providerSettingDefaults),
+      ...getProviderStorageKeys(),
     ]);
 
     const key = await getEncryptionKey();
 
     // Decrypt API keys if they exist
-    let googleApiKey = "";
-    let openaiApiKey = "";
-
-    if (items.encryptedGoogleApiKey) {
-      try {
-        const encryptedGoogleData = JSON.parse(items.encryptedGoogleApiKey);
-        googleApiKey = await decryptData(
-          key,
-          encryptedGoogleData.iv,
-          encryptedGoogleData.ciphertext,
-        );
-      } catch (e) {
-        console.error("Error decrypting Google API Key:", e);
-        displayMessage(
-          "Failed to decrypt Google API Key. It may have been corrupted.",
-          "error",
-        );
-      }
-    }
-
-    if (items.encryptedOpenaiApiKey) {
-      try {
-        const encryptedOpenAIData = JSON.parse(items.encryptedOpenaiApiKey);
-        openaiApiKey = await decryptData(
-          key,
-          encryptedOpenAIData.iv,
-          encryptedOpenAIData.ciphertext,
-        );
-      } catch (e) {
-        console.error("Error decrypting OpenAI API Key:", e);
-        displayMessage(
-          "Failed to decrypt OpenAI API Key. It may have been corrupted.",
-          "error",
-        );
+    for (const provider of getProviders()) {
+      for (const credential of provider.credentials) {
+        let value = "";
+        if (items[credential.storageKey] && credential.secret === false) {
+          value = items[credential.storageKey];
+        } else if (items[credential.storageKey]) {
+          try {
+            const encryptedData = JSON.parse(items[credential.storageKey]);
+            value = await decryptData(
+              key,
+              encryptedData.iv,
+              encryptedData.ciphertext,
+            );
+          } catch (e) {
+            console.error(`Error decrypting ${credential.label}:`, e);
+            displayMessage(
+              `Failed to decrypt ${credential.label}. It may have been corrupted.`,
+              "error",
+            );
+          }
+        }
+        document.getElementById(
+          getCredentialInputId(provider, credential),
+        ).value = value;
       }
     }
 
@@ -518,25 +458,33 @@ async function loadOptions() {
       openaiPrompt = defaultOpenAIPrompt;
     }
 
-    document.getElementById("googleApiKey").value = googleApiKey;
-    document.getElementById("openaiApiKey").value = openaiApiKey;
     document.getElementById("targetLanguage").value = targetLanguage;
+    document.getElementById("translationDisplay").value =
+      items.translationDisplay || "below";
+    document.getElementById("threadContext").checked = !!items.threadContext;
+
+    const readLanguages = items.readLanguages || [];
+    document.getElementById("autoTranslate").checked = !!items.autoTranslate;
+    document.querySelectorAll("#readLanguages option").forEach((option) => {
+      option.selected = readLanguages.includes(option.value);
+    });
+    document.getElementById("autoTranslateBudget").value =
+      items.autoTranslateBudget ?? defaultAutoTranslateBudget;
     document.getElementById("openaiPrompt").value = openaiPrompt;
-
-    updateTranslationServiceOptions();
+    Object.entries(providerSettingDefaults).forEach(([id, defaultValue]) => {
+      document.getElementById(id).value = items[id] || defaultValue;
+    });
 
     // Set the translation service checkbox
     const translationService = items.translationService || null;
-    const serviceOpenAI = document.getElementById("serviceOpenAI");
-    const serviceGoogle = document.getElementById("serviceGoogle");
-
-    serviceOpenAI.checked =
-      translationService === "OpenAI" && !serviceOpenAI.disabled;
-    serviceGoogle.checked =
-      translationService === "Google" && !serviceGoogle.disabled;
+    getProviders().forEach((provider) => {
+      getServiceCheckbox(provider).checked = provider.id === translationService;
+    });
 
-    // Show or hide OpenAI prompt container based on the checkbox state
-    toggleOpenAIPromptContainer(serviceOpenAI.checked);
+    loadFallbackServices(items.fallbackServices || []);
+    loadUsageCaps(items.usageCaps || {});
+    loadLanguageRules(items.languageRules || {});
+    updateTranslationServiceOptions();
 
     // Provide user feedback
     displayMessage("Settings loaded successfully.", "success");
@@ -554,97 +502,335 @@ async function loadOptions() {
  */
 function resetPrompt() {
   document.getElementById("openaiPrompt").value = defaultOpenAIPrompt;
-  displayMessage("OpenAI prompt reset to default.", "success");
+  document.getElementById("openaiSystemPrompt").value =
+    defaultOpenAISystemPrompt;
+  displayMessage("OpenAI prompts reset to default.", "success");
 }
 
 /**
- * Toggles the visibility of the OpenAI prompt container.
- * @param {boolean} show - Whether to show or hide the container.
+ * Fetches the models offered by a provider and lists them in its model field.
+ * @param {Event} event - The click event of a "Load Models" button.
+ * @returns {Promise<void>}
  */
-function toggleOpenAIPromptContainer(show) {
-  const openaiPromptContainer = document.getElementById(
-    "openaiPromptContainer",
+async function loadModels(event) {
+  const button = event.currentTarget;
+  const provider = getProviders().find(
+    (item) => item.id === button.getAttribute("data-provider"),
+  );
+  const modelInput = document.getElementById(
+    button.getAttribute("data-model-input"),
   );
-  if (show) {
-    openaiPromptContainer.style.display = "block";
-  } else {
-    openaiPromptContainer.style.display = "none";
+  const modelList = document.getElementById(modelInput.getAttribute("list"));
+
+  if (!isProviderConfigured(provider)) {
+    displayMessage(
+      `Enter the ${provider.name} connection details before loading models.`,
+      "error",
+    );
+    return;
+  }
+
+  const credentials = {};
+  provider.credentials.forEach((credential) => {
+    credentials[credential.key] = document
+      .getElementById(getCredentialInputId(provider, credential))
+      .value.trim();
+  });
+
+  button.disabled = true;
+  try {
+    // Ask for access to the server now, in case it hasn't been saved yet
+    const origins = provider.credentials
+      .filter(
+        (credential) =>
+          credential.hostPermission && credentials[credential.key],
+      )
+      .map((credential) => getOriginPattern(credentials[credential.key]));
+    if (origins.length && !(await requestHostPermissions(origins))) {
+      displayMessage(
+        `BabbelSky needs access to the ${provider.name} to load its models.`,
+        "error",
+      );
+      return;
+    }
+
+    const models = await provider.listModels({
+      credentials,
+      settings: readProviderSettings(),
+    });
+
+    modelList.replaceChildren(
+      ...models.map((model) => {
+        const option = document.createElement("option");
+        option.value = model;
+        return option;
+      }),
+    );
+    displayMessage(
+      `Loaded ${models.length} models. Pick one from the Model field.`,
+      "success",
+    );
+  } catch (error) {
+    console.error("Error loading models:", error);
+    displayMessage(`Failed to load models: ${error.message}`, "error");
+  } finally {
+    button.disabled = false;
   }
 }
 
 /**
- * Handles checkbox changes to ensure only one is selected and manages the OpenAI prompt visibility.
- * @param {Event} event - The checkbox change event.
+ * Shows the number of cached translations next to the "Clear Cache" button.
+ * @returns {Promise<void>}
  */
-function handleCheckboxChange(event) {
-  const serviceOpenAI = document.getElementById("serviceOpenAI");
-  const serviceGoogle = document.getElementById("serviceGoogle");
+async function updateCacheSize() {
+  const size = await getTranslationCacheSize();
+  document.getElementById("cacheSize").textContent =
+    `${size} cached translation${size === 1 ? "" : "s"}`;
+}
 
-  if (event.target.checked) {
-    // Uncheck the other checkbox
-    if (event.target.id === "serviceOpenAI") {
-      serviceGoogle.checked = false;
-      toggleOpenAIPromptContainer(true);
-    } else if (event.target.id === "serviceGoogle") {
-      serviceOpenAI.checked = false;
-      toggleOpenAIPromptContainer(false);
-    }
-    return; // Exit early if the checkbox is checked
+/**
+ * Clears the translation cache.
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+  try {
+    await clearTranslationCache();
+    await updateCacheSize();
+    displayMessage("Translation cache cleared.", "success");
+  } catch (error) {
+    console.error("Error clearing cache:", error);
+    displayMessage("Failed to clear the translation cache.", "error");
   }
+}
 
-  // If unchecked and it's the OpenAI checkbox, hide the OpenAI prompt container
-  if (event.target.id === "serviceOpenAI") {
-    toggleOpenAIPromptContainer(false);
+/**
+ * Describes a provider's usage in a period, e.g. "1,234 characters, 567 tokens".
+ * @param {import("./usage.js").UsageCounts|undefined} counts - The counts, if any.
+ * @returns {string} - The description.
+ */
+function formatUsage(counts) {
+  if (!counts) {
+    return "None";
+  }
+  const parts = [`${counts.characters.toLocaleString()} characters`];
+  const tokens = counts.promptTokens + counts.completionTokens;
+  if (tokens) {
+    parts.push(`${tokens.toLocaleString()} tokens`);
   }
+  return parts.join(", ");
 }
 
 /**
- * Updates the translation service options based on API keys and ensures only one can be selected.
- * Also manages tooltips based on the checkbox's enabled/disabled state.
+ * Shows each provider's usage today and this month, with the estimated cost.
+ * @returns {Promise<void>}
  */
-function updateTranslationServiceOptions() {
-  const googleApiKey = document.getElementById("googleApiKey").value.trim();
-  const openaiApiKey = document.getElementById("openaiApiKey").value.trim();
-
-  const serviceOpenAI = document.getElementById("serviceOpenAI");
-  const labelOpenAI = document.querySelector('label[for="serviceOpenAI"]');
-  const tooltipOpenAI = labelOpenAI.querySelector(".tooltiptext");
-
-  const serviceGoogle = document.getElementById("serviceGoogle");
-  const labelGoogle = document.querySelector('label[for="serviceGoogle"]');
-  const tooltipGoogle = labelGoogle.querySelector(".tooltiptext");
-
-  // OpenAI
-  if (!openaiApiKey) {
-    serviceOpenAI.disabled = true;
-    labelOpenAI.style.color = "#999";
-    tooltipOpenAI.textContent = "Requires OpenAI API Key";
-    serviceOpenAI.checked = false;
-    toggleOpenAIPromptContainer(false);
-  } else {
-    serviceOpenAI.disabled = false;
-    labelOpenAI.style.color = "";
-    tooltipOpenAI.textContent = ""; // Remove tooltip when enabled
+async function updateUsage() {
+  const { today, month } = await getUsageSummary();
+  getProviders().forEach((provider) => {
+    const row = document.querySelector(
+      `#usageTable tr[data-provider="${provider.id}"]`,
+    );
+    const cost = estimateMonthlyCost(provider, month[provider.id]);
+    row.querySelector(".usage-today").textContent = formatUsage(
+      today[provider.id],
+    );
+    row.querySelector(".usage-month").textContent = formatUsage(
+      month[provider.id],
+    );
+    let costText = "Unknown";
+    if (cost !== null) {
+      costText = cost > 0 && cost < 0.01 ? "< $0.01" : `$${cost.toFixed(2)}`;
+    }
+    row.querySelector(".usage-cost").textContent = costText;
+  });
+}
+
+/**
+ * Fills the monthly limit fields from the stored limits.
+ * @param {Object<string, import("./usage.js").UsageCap>} usageCaps - The limits, keyed by provider ID.
+ */
+function loadUsageCaps(usageCaps) {
+  getProviders().forEach((provider) => {
+    const cap = usageCaps[provider.id];
+    document.getElementById(`usageCap-${provider.id}`).value =
+      cap && cap.characters ? cap.characters : "";
+    const tokenInput = document.getElementById(`usageTokenCap-${provider.id}`);
+    if (tokenInput) {
+      tokenInput.value = cap && cap.tokens ? cap.tokens : "";
+    }
+    document.getElementById(`usageCapMode-${provider.id}`).value = cap
+      ? cap.mode
+      : "soft";
+  });
+}
+
+/**
+ * Fills the tone dropdown with the tone presets.
+ */
+function populateToneDropdown() {
+  const dropdown = document.getElementById("openaiTone");
+  Object.entries(tonePresets).forEach(([value, preset]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = preset.name;
+    dropdown.appendChild(option);
+  });
+}
+
+/**
+ * Shows the settings sections belonging to the selected provider and
+ * disables target languages it does not support.
+ */
+function updateSelectedProvider() {
+  const selectedProvider = getSelectedProvider();
+
+  document.querySelectorAll("[data-provider-section]").forEach((section) => {
+    const show =
+      selectedProvider &&
+      section
+        .getAttribute("data-provider-section")
+        .split(" ")
+        .includes(selectedProvider.id);
+    section.style.display = show ? "block" : "none";
+  });
+
+  document.querySelectorAll("#targetLanguage option").forEach((option) => {
+    option.disabled =
+      !!selectedProvider && !supportsLanguage(selectedProvider, option.value);
+  });
+
+  updateFallbackServices();
+}
+
+/**
+ * Returns the fallback list items, in their current order.
+ * @returns {HTMLLIElement[]} - One item per provider.
+ */
+function getFallbackItems() {
+  return Array.from(document.querySelectorAll("#fallbackServices li"));
+}
+
+/**
+ * Enables the fallback checkboxes of configured providers, and hides the
+ * selected provider from the fallback list.
+ */
+function updateFallbackServices() {
+  const selectedProvider = getSelectedProvider();
+
+  getFallbackItems().forEach((item) => {
+    const provider = getProvider(item.getAttribute("data-provider"));
+    const checkbox = item.querySelector("input");
+    checkbox.disabled = !isProviderConfigured(provider);
+    item.style.color = checkbox.disabled ? "#999" : "";
+    item.style.display =
+      selectedProvider && selectedProvider.id === provider.id ? "none" : "";
+  });
+}
+
+/**
+ * Reads the fallback providers the user enabled, in the chosen order.
+ * @returns {string[]} - Provider IDs.
+ */
+function readFallbackServices() {
+  const selectedProvider = getSelectedProvider();
+  return getFallbackItems()
+    .filter((item) => {
+      const checkbox = item.querySelector("input");
+      return (
+        checkbox.checked &&
+        !checkbox.disabled &&
+        (!selectedProvider ||
+          item.getAttribute("data-provider") !== selectedProvider.id)
+      );
+    })
+    .map((item) => item.getAttribute("data-provider"));
+}
+
+/**
+ * Checks and orders the fallback list from the stored fallback providers.
+ * The stored providers come first, in their stored order.
+ * @param {string[]} fallbackServices - Stored provider IDs.
+ */
+function loadFallbackServices(fallbackServices) {
+  const list = document.getElementById("fallbackServices");
+  const items = getFallbackItems();
+
+  fallbackServices
+    .slice()
+    .reverse()
+    .forEach((id) => {
+      const item = items.find(
+        (element) => element.getAttribute("data-provider") === id,
+      );
+      if (item) {
+        list.prepend(item);
+      }
+    });
+
+  items.forEach((item) => {
+    item.querySelector("input").checked = fallbackServices.includes(
+      item.getAttribute("data-provider"),
+    );
+  });
+}
+
+/**
+ * Moves a fallback provider one place up or down the list.
+ * @param {Event} event - The click event of a move button.
+ */
+function moveFallbackService(event) {
+  const item = event.currentTarget.closest("li");
+  const direction = event.currentTarget.getAttribute("data-direction");
+  if (direction === "up" && item.previousElementSibling) {
+    item.parentNode.insertBefore(item, item.previousElementSibling);
+  } else if (direction === "down" && item.nextElementSibling) {
+    item.parentNode.insertBefore(item.nextElementSibling, item);
   }
+}
 
-  // Google Translate
-  if (!googleApiKey) {
-    serviceGoogle.disabled = true;
-    labelGoogle.style.color = "#999";
-    tooltipGoogle.textContent = "Requires Google Translate API Key";
-    serviceGoogle.checked = false;
-  } else {
-    serviceGoogle.disabled = false;
-    labelGoogle.style.color = "";
-    tooltipGoogle.textContent = ""; // Remove tooltip when enabled
+/**
+ * Handles checkbox changes to ensure only one is selected and manages the provider settings visibility.
+ * @param {Event} event - The checkbox change event.
+ */
+function handleCheckboxChange(event) {
+  if (event.target.checked) {
+    // Uncheck the other checkboxes
+    getProviders().forEach((provider) => {
+      const checkbox = getServiceCheckbox(provider);
+      if (checkbox !== event.target) {
+        checkbox.checked = false;
+      }
+    });
   }
 
-  // Attach event listeners only once
-  const checkboxes = [serviceOpenAI, serviceGoogle];
-  checkboxes.forEach((checkbox) => {
-    checkbox.removeEventListener("change", handleCheckboxChange);
-    checkbox.addEventListener("change", handleCheckboxChange);
+  updateSelectedProvider();
+}
+
+/**
+ * Updates the translation service options based on API keys and ensures only one can be selected.
+ * Also manages tooltips based on the checkbox's enabled/disabled state.
+ */
+function updateTranslationServiceOptions() {
+  getProviders().forEach((provider) => {
+    const checkbox = getServiceCheckbox(provider);
+    const label = document.querySelector(`label[for="${checkbox.id}"]`);
+    const tooltip = label.querySelector(".tooltiptext");
+
+    if (!isProviderConfigured(provider)) {
+      checkbox.disabled = true;
+      checkbox.checked = false;
+      label.style.color = "#999";
+      tooltip.textContent = `Requires ${getRequiredCredentials(provider)
+        .map((credential) => credential.label)
+        .join(" and ")}`;
+    } else {
+      checkbox.disabled = false;
+      label.style.color = "";
+      tooltip.textContent = ""; // Remove tooltip when enabled
+    }
   });
+
+  updateSelectedProvider();
 }
 
 /**
@@ -669,9 +855,116 @@ function togglePasswordVisibility(inputId, buttonId) {
   }
 }
 
-// Initialize password visibility toggles
-togglePasswordVisibility("googleApiKey", "toggleGoogleApiKey");
-togglePasswordVisibility("openaiApiKey", "toggleOpenAIApiKey");
+/**
+ * Creates an API key input, with its Show/Hide button, for every provider credential.
+ */
+function populateProviderCredentials() {
+  const container = document.getElementById("providerCredentials");
+
+  getProviders().forEach((provider) => {
+    provider.credentials.forEach((credential) => {
+      const inputId = getCredentialInputId(provider, credential);
+      const buttonId = `toggle-${inputId}`;
+
+      const label = document.createElement("label");
+      label.htmlFor = inputId;
+      label.textContent = `${credential.label}:`;
+
+      const keyContainer = document.createElement("div");
+      keyContainer.className = "api-key-container";
+
+      const input = document.createElement("input");
+      input.type = credential.secret === false ? "url" : "password";
+      input.id = inputId;
+      input.placeholder = credential.placeholder || credential.label;
+      input.addEventListener("input", updateTranslationServiceOptions);
+      keyContainer.appendChild(input);
+      container.append(label, keyContainer);
+
+      if (credential.secret === false) {
+        return;
+      }
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.id = buttonId;
+      button.className = "toggle-button";
+      button.textContent = "Show";
+      keyContainer.appendChild(button);
+
+      togglePasswordVisibility(inputId, buttonId);
+    });
+  });
+}
+
+/**
+ * Creates a service checkbox for every registered provider.
+ */
+function populateTranslationServices() {
+  const container = document.getElementById("translationServices");
+
+  getProviders().forEach((provider) => {
+    const serviceDiv = document.createElement("div");
+    serviceDiv.className = "translation-service";
+    serviceDiv.id = `service${provider.id}Div`;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = `service${provider.id}`;
+    checkbox.name = "translationService";
+    checkbox.value = provider.id;
+    checkbox.addEventListener("change", handleCheckboxChange);
+
+    const label = document.createElement("label");
+    label.htmlFor = checkbox.id;
+    label.className = "tooltip";
+    label.textContent = provider.name;
+
+    const tooltip = document.createElement("span");
+    tooltip.className = "tooltiptext";
+    label.appendChild(tooltip);
+
+    serviceDiv.append(checkbox, label);
+    container.appendChild(serviceDiv);
+  });
+}
+
+/**
+ * Populates the fallback list with every registered provider.
+ */
+function populateFallbackServices() {
+  const list = document.getElementById("fallbackServices");
+
+  getProviders().forEach((provider) => {
+    const item = document.createElement("li");
+    item.setAttribute("data-provider", provider.id);
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = `fallback${provider.id}`;
+
+    const label = document.createElement("label");
+    label.htmlFor = checkbox.id;
+    label.textContent = provider.name;
+
+    const buttons = [
+      ["up", "↑", `Move ${provider.name} up`],
+      ["down", "↓", `Move ${provider.name} down`],
+    ].map(([direction, text, title]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "move-button";
+      button.textContent = text;
+      button.title = title;
+      button.setAttribute("data-direction", direction);
+      button.addEventListener("click", moveFallbackService);
+      return button;
+    });
+
+    item.append(checkbox, label, ...buttons);
+    list.appendChild(item);
+  });
+}
 
 function populateTargetLanguageDropdown() {
   const dropdown = document.getElementById("targetLanguage");
@@ -683,8 +976,176 @@ function populateTargetLanguageDropdown() {
   });
 }
 
+/**
+ * Creates a row of the usage table, with its monthly limit fields, for
+ * every registered provider.
+ */
+function populateUsageTable() {
+  const body = document.querySelector("#usageTable tbody");
+
+  getProviders().forEach((provider) => {
+    const row = document.createElement("tr");
+    row.setAttribute("data-provider", provider.id);
+
+    const cells = ["name", "today", "month", "cost"].map((column) => {
+      const cell = document.createElement("td");
+      cell.className = `usage-${column}`;
+      return cell;
+    });
+    cells[0].textContent = provider.name;
+
+    const capInput = document.createElement("input");
+    capInput.type = "number";
+    capInput.id = `usageCap-${provider.id}`;
+    capInput.min = "0";
+    capInput.step = "1000";
+    capInput.placeholder = "No limit";
+    capInput.setAttribute(
+      "aria-label",
+      `${provider.name} monthly limit in characters`,
+    );
+
+    // Only providers that report their tokens can be limited by them
+    const tokenCapCell = document.createElement("td");
+    if (provider.reportsTokens) {
+      const tokenCapInput = document.createElement("input");
+      tokenCapInput.type = "number";
+      tokenCapInput.id = `usageTokenCap-${provider.id}`;
+      tokenCapInput.min = "0";
+      tokenCapInput.step = "1000";
+      tokenCapInput.placeholder = "No limit";
+      tokenCapInput.setAttribute(
+        "aria-label",
+        `${provider.name} monthly limit in tokens`,
+      );
+      tokenCapCell.appendChild(tokenCapInput);
+    } else {
+      tokenCapCell.textContent = "Not reported";
+    }
+
+    const modeSelect = document.createElement("select");
+    modeSelect.id = `usageCapMode-${provider.id}`;
+    modeSelect.setAttribute("aria-label", `When ${provider.name} reaches it`);
+    [
+      ["soft", "Warn"],
+      ["hard", "Block"],
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      modeSelect.appendChild(option);
+    });
+
+    const capCell = document.createElement("td");
+    capCell.appendChild(capInput);
+    const modeCell = document.createElement("td");
+    modeCell.appendChild(modeSelect);
+
+    row.append(...cells, capCell, tokenCapCell, modeCell);
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Creates a language dropdown.
+ * @param {string} className - Class of the dropdown.
+ * @param {string} ariaLabel - Accessible name of the dropdown.
+ * @returns {HTMLSelectElement} - The dropdown.
+ */
+function createLanguageDropdown(className, ariaLabel) {
+  const dropdown = document.createElement("select");
+  dropdown.className = className;
+  dropdown.setAttribute("aria-label", ariaLabel);
+  languages.forEach((language) => {
+    const option = document.createElement("option");
+    option.value = language.code;
+    option.textContent = language.name;
+    dropdown.appendChild(option);
+  });
+  return dropdown;
+}
+
+/**
+ * Adds a rule to the rules by language list.
+ * @param {string} [language] - The source language code. Defaults to the first language.
+ * @param {import("./languages.js").LanguageRule} [rule] - The rule. Defaults to never translating.
+ */
+function addLanguageRule(language, rule = { action: "never" }) {
+  const item = document.createElement("li");
+
+  const languageSelect = createLanguageDropdown(
+    "rule-language",
+    "Posts written in",
+  );
+  const actionSelect = document.createElement("select");
+  actionSelect.className = "rule-action";
+  actionSelect.setAttribute("aria-label", "Rule");
+  [
+    ["never", "Never translate"],
+    ["auto", "Always translate automatically"],
+    ["target", "Translate into"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    actionSelect.appendChild(option);
+  });
+  const targetSelect = createLanguageDropdown("rule-target", "Target language");
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.className = "remove-rule-button";
+  removeButton.textContent = "Remove";
+  removeButton.addEventListener("click", () => item.remove());
+
+  if (language) {
+    languageSelect.value = language;
+  }
+  actionSelect.value = rule.action;
+  targetSelect.value =
+    rule.targetLanguage || document.getElementById("targetLanguage").value;
+  targetSelect.hidden = rule.action !== "target";
+  actionSelect.addEventListener("change", () => {
+    targetSelect.hidden = actionSelect.value !== "target";
+  });
+
+  item.append(languageSelect, actionSelect, targetSelect, removeButton);
+  document.getElementById("languageRules").appendChild(item);
+}
+
+/**
+ * Fills the rules by language list from the stored rules.
+ * @param {Object<string, import("./languages.js").LanguageRule>} languageRules - The rules,
+ *   keyed by source language code.
+ */
+function loadLanguageRules(languageRules) {
+  document.getElementById("languageRules").replaceChildren();
+  Object.entries(languageRules).forEach(([language, rule]) => {
+    addLanguageRule(language, rule);
+  });
+}
+
+/**
+ * Fills the "Languages I read" list with the supported languages.
+ */
+function populateReadLanguagesList() {
+  const list = document.getElementById("readLanguages");
+  languages.forEach((language) => {
+    const option = document.createElement("option");
+    option.value = language.code;
+    option.textContent = language.name;
+    list.appendChild(option);
+  });
+}
+
 document.addEventListener("DOMContentLoaded", () => {
+  populateProviderCredentials();
+  populateTranslationServices();
+  populateFallbackServices();
   populateTargetLanguageDropdown();
+  populateReadLanguagesList();
+  populateUsageTable();
+  populateToneDropdown();
   loadOptions();
 
   document.getElementById("saveButton").addEventListener("click", saveOptions);
@@ -692,9 +1153,16 @@ document.addEventListener("DOMContentLoaded", () => {
     .getElementById("resetPromptButton")
     .addEventListener("click", resetPrompt);
   document
-    .getElementById("googleApiKey")
-    .addEventListener("input", updateTranslationServiceOptions);
+    .getElementById("clearCacheButton")
+    .addEventListener("click", clearCache);
   document
-    .getElementById("openaiApiKey")
-    .addEventListener("input", updateTranslationServiceOptions);
+    .getElementById("addLanguageRuleButton")
+    .addEventListener("click", () => addLanguageRule());
+  updateCacheSize();
+  updateUsage().catch((error) => {
+    console.error("Error reading usage:", error);
+  });
+  document.querySelectorAll(".load-models-button").forEach((button) => {
+    button.addEventListener("click", loadModels);
+  });
 });
@@ -0,0 +1,90 @@
+// placeholders.js
+
+/**
+ * @fileoverview
+ * Placeholders for the parts of a post that must not be translated: links,
+ * mentions, hashtags and emoji. The content script replaces each of them with
+ * a numbered placeholder such as ⟦0⟧ before sending the post, and puts them
+ * back into the translation. Providers use these helpers to keep the
+ * placeholders intact.
+ */
+
+/**
+ * Matches a placeholder.
+ * @type {RegExp}
+ */
+const placeholderPattern = /⟦\d+⟧/g;
+
+/**
+ * Instruction given to language models translating text with placeholders.
+ * @type {string}
+ */
+const placeholderInstruction =
+  "The text contains placeholders such as ⟦0⟧ that stand for links, mentions, hashtags and emoji. Copy every placeholder unchanged into the translation, where it belongs in the translated sentence.";
+
+/**
+ * Checks whether a text contains placeholders.
+ * @param {string} text - The text.
+ * @returns {boolean} - True if the text contains at least one placeholder.
+ */
+function hasPlaceholders(text) {
+  return /⟦\d+⟧/.test(text);
+}
+
+/**
+ * Escapes a text for HTML.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Converts a text to HTML for providers that translate HTML, wrapping each
+ * placeholder in a "notranslate" span so it is left as it is.
+ * @param {string} text - The text, with placeholders.
+ * @returns {string} - The HTML.
+ */
+function toProtectedHtml(text) {
+  return escapeHtml(text)
+    .replace(
+      placeholderPattern,
+      (placeholder) =>
+        `<span class="notranslate" translate="no">${placeholder}</span>`,
+    )
+    .replace(/\n/g, "<br>");
+}
+
+/**
+ * Converts HTML returned by a provider back to text, keeping the placeholders.
+ * @param {string} html - The translated HTML.
+ * @returns {string} - The text.
+ */
+function fromProtectedHtml(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&#(\d+);/g, (entity, code) =>
+      String.fromCodePoint(parseInt(code, 10)),
+    )
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) =>
+      String.fromCodePoint(parseInt(code, 16)),
+    )
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+export {
+  placeholderInstruction,
+  hasPlaceholders,
+  toProtectedHtml,
+  fromProtectedHtml,
+};
@@ -0,0 +1,250 @@
+// popup.js
+
+/**
+ * @fileoverview
+ * Toolbar popup for BabbelSky.
+ * Shows the selected translation service and target language with quick
+ * switches for both, a toggle that pauses BabbelSky and hands translation
+ * back to Bluesky, today's usage and the services over their monthly limit.
+ * Changes are saved immediately.
+ */
+
+import { getProvider, supportsLanguage } from "./providers/index.js";
+import { languages } from "./languages.js";
+import { getStorage, setStorage } from "./utils.js";
+import { clearCapBadge, getCapWarnings, getTodayUsage } from "./usage.js";
+
+/**
+ * Asks the background script for the providers that are ready to translate.
+ * @returns {Promise<Array<{id: string, name: string}>>} - The configured providers.
+ */
+function getAvailableProviders() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { action: "getAvailableProviders" },
+      (response) => {
+        if (chrome.runtime.lastError || !response) {
+          console.error(
+            "BabbelSky: Failed to list providers.",
+            chrome.runtime.lastError,
+          );
+          resolve([]);
+        } else {
+          resolve(response.providers);
+        }
+      },
+    );
+  });
+}
+
+/**
+ * Shows a message under the switches, or hides it.
+ * @param {string|null} text - The message, or null to hide it.
+ */
+function showMessage(text) {
+  const messageElement = document.getElementById("popupMessage");
+  messageElement.textContent = text || "";
+  messageElement.hidden = !text;
+}
+
+/**
+ * Fills the translation service dropdown with the configured providers,
+ * plus the selected one if it is no longer configured.
+ * @param {Array<{id: string, name: string}>} providers - The configured providers.
+ * @param {string|null} translationService - The selected provider ID.
+ */
+function populateServiceDropdown(providers, translationService) {
+  const dropdown = document.getElementById("translationService");
+  const options = providers.map((provider) => {
+    const option = document.createElement("option");
+    option.value = provider.id;
+    option.textContent = provider.name;
+    return option;
+  });
+
+  const selectedProvider = getProvider(translationService);
+  if (
+    selectedProvider &&
+    !providers.some((provider) => provider.id === selectedProvider.id)
+  ) {
+    const option = document.createElement("option");
+    option.value = selectedProvider.id;
+    option.textContent = `${selectedProvider.name} (not set up)`;
+    options.unshift(option);
+  }
+  if (!selectedProvider) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = providers.length
+      ? "None (Bluesky's translation)"
+      : "No service set up";
+    options.unshift(option);
+  }
+
+  dropdown.replaceChildren(...options);
+  dropdown.value = selectedProvider ? selectedProvider.id : "";
+  dropdown.disabled = !providers.length;
+}
+
+/**
+ * Fills the target language dropdown with the supported languages.
+ */
+function populateTargetLanguageDropdown() {
+  const dropdown = document.getElementById("targetLanguage");
+  languages.forEach((language) => {
+    const option = document.createElement("option");
+    option.value = language.code;
+    option.textContent = language.name;
+    dropdown.appendChild(option);
+  });
+}
+
+/**
+ * Disables the target languages the selected provider does not support,
+ * and says so if the selected target language is one of them.
+ */
+function updateTargetLanguages() {
+  const provider = getProvider(
+    document.getElementById("translationService").value,
+  );
+  const dropdown = document.getElementById("targetLanguage");
+  dropdown.querySelectorAll("option").forEach((option) => {
+    option.disabled = !!provider && !supportsLanguage(provider, option.value);
+  });
+
+  const selectedOption = dropdown.selectedOptions[0];
+  showMessage(
+    selectedOption && selectedOption.disabled
+      ? `${provider.name} does not translate to ${selectedOption.textContent}. Pick another language.`
+      : null,
+  );
+}
+
+/**
+ * Shows the number of posts translated today and the characters sent.
+ * @returns {Promise<void>}
+ */
+async function updateTodayUsage() {
+  const { total } = await getTodayUsage();
+  document.getElementById("todayUsage").textContent =
+    `${total.translations.toLocaleString()} ${total.translations === 1 ? "post" : "posts"} translated, ${total.characters.toLocaleString()} characters sent. Cached translations don't count.`;
+}
+
+/**
+ * Lists the services that went over the monthly limit the user set, and
+ * clears the toolbar icon warning once none is over.
+ * @returns {Promise<void>}
+ */
+async function updateCapWarnings() {
+  const warnings = await getCapWarnings();
+  const warningsElement = document.getElementById("capWarnings");
+  warningsElement.textContent = warnings
+    .map(({ providerId, characters, tokens, cap }) => {
+      const provider = getProvider(providerId);
+      const usage = [
+        [characters, cap.characters, "characters"],
+        [tokens, cap.tokens, "tokens"],
+      ]
+        .filter(([used, limit]) => limit && used > limit)
+        .map(
+          ([used, limit, unit]) =>
+            `${used.toLocaleString()} of ${limit.toLocaleString()} ${unit}`,
+        )
+        .join(", ");
+      return `${provider ? provider.name : providerId} is over its monthly limit: ${usage}.`;
+    })
+    .join(" ");
+  warningsElement.hidden = !warnings.length;
+
+  if (!warnings.length) {
+    clearCapBadge();
+  }
+}
+
+/**
+ * Saves the selected translation service.
+ * @returns {Promise<void>}
+ */
+async function saveTranslationService() {
+  const translationService =
+    document.getElementById("translationService").value || null;
+  await setStorage({ translationService });
+  updateTargetLanguages();
+}
+
+/**
+ * Saves the selected target language.
+ * @returns {Promise<void>}
+ */
+async function saveTargetLanguage() {
+  const targetLanguage = document.getElementById("targetLanguage").value;
+  const language = languages.find((lang) => lang.code === targetLanguage);
+  await setStorage({
+    targetLanguage,
+    targetLanguageName: language ? language.name : targetLanguage,
+  });
+  updateTargetLanguages();
+}
+
+/**
+ * Saves the pause toggle.
+ * @returns {Promise<void>}
+ */
+function savePaused() {
+  return setStorage({ paused: document.getElementById("paused").checked });
+}
+
+/**
+ * Loads the settings into the popup.
+ * @returns {Promise<void>}
+ */
+async function loadPopup() {
+  const [items, providers] = await Promise.all([
+    getStorage(["translationService", "targetLanguage", "paused"]),
+    getAvailableProviders(),
+  ]);
+
+  document.getElementById("paused").checked = !!items.paused;
+  populateServiceDropdown(providers, items.translationService || null);
+  document.getElementById("targetLanguage").value =
+    items.targetLanguage || "en";
+  updateTargetLanguages();
+  if (!providers.length) {
+    showMessage("Add an API key in All Settings to start translating.");
+  }
+}
+
+/**
+ * Logs a failed popup action and tells the user.
+ * @param {Error} error - The error.
+ */
+function handleError(error) {
+  console.error("BabbelSky: Failed to save settings.", error);
+  showMessage("Your change could not be saved. Try again.");
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  populateTargetLanguageDropdown();
+  loadPopup().catch((error) => {
+    console.error("BabbelSky: Failed to load settings.", error);
+  });
+  Promise.all([updateTodayUsage(), updateCapWarnings()]).catch((error) => {
+    console.error("BabbelSky: Failed to read usage.", error);
+  });
+
+  document.getElementById("paused").addEventListener("change", () => {
+    savePaused().catch(handleError);
+  });
+  document
+    .getElementById("translationService")
+    .addEventListener("change", () => {
+      saveTranslationService().catch(handleError);
+    });
+  document.getElementById("targetLanguage").addEventListener("change", () => {
+    saveTargetLanguage().catch(handleError);
+  });
+  document.getElementById("openOptionsButton").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+});
@@ -0,0 +1,142 @@
+// providers/deepl.js
+
+import { rateLimitedApiCall } from "../rateLimiter.js";
+
+/**
+ * Maps BabbelSky target language codes to DeepL target language codes.
+ * Only languages DeepL can translate into are listed.
+ * @type {Object<string, string>}
+ */
+const deeplLanguageCodes = {
+  ar: "AR",
+  bg: "BG",
+  cs: "CS",
+  da: "DA",
+  de: "DE",
+  el: "EL",
+  en: "EN-US",
+  es: "ES",
+  et: "ET",
+  fi: "FI",
+  fr: "FR",
+  hu: "HU",
+  id: "ID",
+  it: "IT",
+  ja: "JA",
+  ko: "KO",
+  lt: "LT",
+  lv: "LV",
+  nl: "NL",
+  no: "NB",
+  pl: "PL",
+  pt: "PT-BR",
+  ro: "RO",
+  ru: "RU",
+  sk: "SK",
+  sl: "SL",
+  sv: "SV",
+  tr: "TR",
+  uk: "UK",
+  "zh-CN": "ZH-HANS",
+  "zh-TW": "ZH-HANT",
+};
+
+/**
+ * Maps the formality setting to DeepL's formality parameter.
+ * The "prefer_" variants fall back to the default for languages without formality support.
+ * @type {Object<string, string>}
+ */
+const deeplFormalities = {
+  default: "default",
+  more: "prefer_more",
+  less: "prefer_less",
+};
+
+/**
+ * Returns the DeepL endpoint for an API key.
+ * DeepL API Free keys end with ":fx" and must use the Free endpoint.
+ * @param {string} apiKey - DeepL API key.
+ * @returns {string} - The translate endpoint URL.
+ */
+function getDeepLEndpoint(apiKey) {
+  return apiKey.endsWith(":fx")
+    ? "https://api-free.deepl.com/v2/translate"
+    : "https://api.deepl.com/v2/translate";
+}
+
+/**
+ * Translates text using DeepL's API.
+ * @param {string} text - Text to translate.
+ * @param {string} apiKey - DeepL API key (Free or Pro).
+ * @param {string} targetLanguage - Target language code.
+ * @param {string} formality - Formality setting ("default", "more" or "less").
+ * @returns {Promise<import("./registry.js").TranslationResult>} - Translated text and detected source language.
+ */
+async function translateWithDeepL(text, apiKey, targetLanguage, formality) {
+  const targetLang = deeplLanguageCodes[targetLanguage];
+  if (!targetLang) {
+    throw new Error(
+      `DeepL does not support target language: ${targetLanguage}`,
+    );
+  }
+
+  const url = getDeepLEndpoint(apiKey);
+  const options = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `DeepL-Auth-Key ${apiKey}`,
+    },
+    body: JSON.stringify({
+      text: [text],
+      target_lang: targetLang,
+      formality: deeplFormalities[formality] || deeplFormalities.default,
+    }),
+  };
+
+  const data = await rateLimitedApiCall("DeepL", url, options, {
+    characters: text.length,
+  });
+
+  if (data.translations && data.translations.length) {
+    const translation = data.translations[0];
+    return {
+      text: translation.text,
+      detectedSourceLanguage: translation.detected_source_language
+        ? translation.detected_source_language.toLowerCase()
+        : undefined,
+    };
+  }
+  throw new Error("DeepL translation failed.");
+}
+
+/**
+ * DeepL provider.
+ * @type {import("./registry.js").TranslationProvider}
+ */
+const deeplProvider = {
+  id: "DeepL",
+  name: "DeepL",
+  credentials: [
+    {
+      key: "apiKey",
+      label: "DeepL API Key",
+      storageKey: "encryptedDeeplApiKey",
+      placeholder: "DeepL API Key (Free or Pro)",
+    },
+  ],
+  languages: Object.keys(deeplLanguageCodes),
+  settings: ["deeplFormality"],
+  rateLimit: { capacity: 5, refillPerSecond: 2 },
+  pricing: { perMillionCharacters: 25 },
+  translate(text, { credentials, targetLanguage, settings }) {
+    return translateWithDeepL(
+      text,
+      credentials.apiKey,
+      targetLanguage,
+      settings.deeplFormality,
+    );
+  },
+};
+
+export { deeplProvider, translateWithDeepL, deeplLanguageCodes };
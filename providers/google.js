@@ -0,0 +1,133 @@
+// providers/google.js
+
+import { rateLimitedApiCall } from "../rateLimiter.js";
+import {
+  fromProtectedHtml,
+  hasPlaceholders,
+  toProtectedHtml,
+} from "../placeholders.js";
+
+/**
+ * Reads a translation from Google Translate's response.
+ * Texts with placeholders are sent as HTML, and converted back to text.
+ * @param {Object} translation - An element of data.translations.
+ * @param {boolean} html - Whether the text was sent as HTML.
+ * @returns {import("./registry.js").TranslationResult} - Translated text and detected source language.
+ */
+function readTranslation(translation, html) {
+  return {
+    text: html
+      ? fromProtectedHtml(translation.translatedText)
+      : translation.translatedText,
+    detectedSourceLanguage: translation.detectedSourceLanguage,
+  };
+}
+
+/**
+ * Translates text using Google Translate's API.
+ * Placeholders are protected by sending the text as HTML with "notranslate" spans.
+ * @param {string} text - Text to translate.
+ * @param {string} apiKey - Google Translate API key.
+ * @param {string} targetLanguage - Target language code.
+ * @returns {Promise<import("./registry.js").TranslationResult>} - Translated text and detected source language.
+ */
+async function translateWithGoogle(text, apiKey, targetLanguage) {
+  const html = hasPlaceholders(text);
+  const encodedText = encodeURIComponent(html ? toProtectedHtml(text) : text);
+  const format = html ? "html" : "text";
+  const url = `https://translation.googleapis.com/language/translate/v2?key=${apiKey}&q=${encodedText}&target=${targetLanguage}&format=${format}`;
+
+  const data = await rateLimitedApiCall(
+    "Google",
+    url,
+    { method: "GET" },
+    { characters: text.length },
+  );
+
+  if (data.data && data.data.translations && data.data.translations.length) {
+    return readTranslation(data.data.translations[0], html);
+  }
+  throw new Error("Google Translate API translation failed.");
+}
+
+/**
+ * Maximum number of texts Google Translate accepts in one request.
+ * @type {number}
+ */
+const maxBatchSize = 128;
+
+/**
+ * Translates several texts using Google Translate's API, sending up to
+ * maxBatchSize of them per POST request as repeated "q" parameters.
+ * If any text has placeholders, the whole request is sent as HTML.
+ * @param {string[]} texts - Texts to translate.
+ * @param {string} apiKey - Google Translate API key.
+ * @param {string} targetLanguage - Target language code.
+ * @returns {Promise<import("./registry.js").TranslationResult[]>} - Translated texts
+ *   and detected source languages, in the order of the texts.
+ */
+async function translateBatchWithGoogle(texts, apiKey, targetLanguage) {
+  const url = `https://translation.googleapis.com/language/translate/v2?key=${apiKey}`;
+  const translations = [];
+
+  for (let start = 0; start < texts.length; start += maxBatchSize) {
+    const batch = texts.slice(start, start + maxBatchSize);
+    const html = batch.some(hasPlaceholders);
+    const body = new URLSearchParams({
+      target: targetLanguage,
+      format: html ? "html" : "text",
+    });
+    batch.forEach((text) =>
+      body.append("q", html ? toProtectedHtml(text) : text),
+    );
+
+    const data = await rateLimitedApiCall(
+      "Google",
+      url,
+      { method: "POST", body },
+      { characters: batch.reduce((sum, text) => sum + text.length, 0) },
+    );
+
+    if (
+      !data.data ||
+      !data.data.translations ||
+      data.data.translations.length !== batch.length
+    ) {
+      throw new Error("Google Translate API translation failed.");
+    }
+    data.data.translations.forEach((translation) => {
+      translations.push(readTranslation(translation, html));
+    });
+  }
+
+  return translations;
+}
+
+/**
+ * Google Translate provider.
+ * @type {import("./registry.js").TranslationProvider}
+ */
+const googleProvider = {
+  id: "Google",
+  name: "Google Translate",
+  credentials: [
+    {
+      key: "apiKey",
+      label: "Google Translate API Key",
+      storageKey: "encryptedGoogleApiKey",
+      placeholder: "Google API Key",
+    },
+  ],
+  languages: null,
+  settings: [],
+  rateLimit: { capacity: 10, refillPerSecond: 5 },
+  pricing: { perMillionCharacters: 20, freeCharactersPerMonth: 500000 },
+  translate(text, { credentials, targetLanguage }) {
+    return translateWithGoogle(text, credentials.apiKey, targetLanguage);
+  },
+  translateBatch(texts, { credentials, targetLanguage }) {
+    return translateBatchWithGoogle(texts, credentials.apiKey, targetLanguage);
+  },
+};
+
+export { googleProvider, translateWithGoogle, translateBatchWithGoogle };
@@ -0,0 +1,27 @@
+// providers/index.js
+
+/**
+ * @fileoverview
+ * Registers the built-in translation providers.
+ * To add a provider, create a module exporting a TranslationProvider
+ * (see registry.js) and register it below.
+ */
+
+import { registerProvider } from "./registry.js";
+import { openaiCompatibleProvider, openaiProvider } from "./openai.js";
+import { googleProvider } from "./google.js";
+import { deeplProvider } from "./deepl.js";
+import { libreTranslateProvider } from "./libretranslate.js";
+
+registerProvider(openaiProvider);
+registerProvider(openaiCompatibleProvider);
+registerProvider(googleProvider);
+registerProvider(deeplProvider);
+registerProvider(libreTranslateProvider);
+
+export {
+  getProvider,
+  getProviders,
+  getProviderStorageKeys,
+  supportsLanguage,
+} from "./registry.js";
@@ -0,0 +1,112 @@
+// providers/libretranslate.js
+
+import { hasHostPermission } from "../utils.js";
+import { rateLimitedApiCall } from "../rateLimiter.js";
+import { createHostPermissionError } from "../errors.js";
+
+/**
+ * Maps BabbelSky target language codes to LibreTranslate codes where they differ.
+ * @type {Object<string, string>}
+ */
+const libreTranslateLanguageCodes = {
+  "zh-CN": "zh",
+  "zh-TW": "zt",
+  no: "nb",
+  fil: "tl",
+};
+
+/**
+ * Translates text using a LibreTranslate-compatible server.
+ * @param {string} text - Text to translate.
+ * @param {string} baseUrl - Base URL of the server (e.g. "https://translate.example.com").
+ * @param {string} apiKey - API key, or an empty string if the server does not require one.
+ * @param {string} targetLanguage - Target language code.
+ * @returns {Promise<import("./registry.js").TranslationResult>} - Translated text and detected source language.
+ */
+async function translateWithLibreTranslate(
+  text,
+  baseUrl,
+  apiKey,
+  targetLanguage,
+) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/translate`;
+
+  if (!(await hasHostPermission(url))) {
+    throw createHostPermissionError(url, {
+      id: "LibreTranslate",
+      name: "LibreTranslate",
+    });
+  }
+
+  const body = {
+    q: text,
+    source: "auto",
+    target: libreTranslateLanguageCodes[targetLanguage] || targetLanguage,
+    format: "text",
+  };
+  if (apiKey) {
+    body.api_key = apiKey;
+  }
+
+  const data = await rateLimitedApiCall(
+    "LibreTranslate",
+    url,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    },
+    { characters: text.length },
+  );
+
+  if (typeof data.translatedText === "string") {
+    return {
+      text: data.translatedText,
+      detectedSourceLanguage: data.detectedLanguage
+        ? data.detectedLanguage.language
+        : undefined,
+    };
+  }
+  throw new Error("LibreTranslate translation failed.");
+}
+
+/**
+ * LibreTranslate (self-hosted) provider.
+ * The supported languages depend on the server, so none are declared here.
+ * @type {import("./registry.js").TranslationProvider}
+ */
+const libreTranslateProvider = {
+  id: "LibreTranslate",
+  name: "LibreTranslate (self-hosted)",
+  credentials: [
+    {
+      key: "baseUrl",
+      label: "LibreTranslate Server URL",
+      storageKey: "libretranslateUrl",
+      placeholder: "https://translate.example.com",
+      secret: false,
+      hostPermission: true,
+    },
+    {
+      key: "apiKey",
+      label: "LibreTranslate API Key",
+      storageKey: "encryptedLibretranslateApiKey",
+      placeholder: "LibreTranslate API Key (optional)",
+      optional: true,
+    },
+  ],
+  languages: null,
+  settings: [],
+  translate(text, { credentials, targetLanguage }) {
+    return translateWithLibreTranslate(
+      text,
+      credentials.baseUrl,
+      credentials.apiKey || "",
+      targetLanguage,
+    );
+  },
+};
+
+export { libreTranslateProvider, translateWithLibreTranslate };
@@ -0,0 +1,862 @@
+// providers/openai.js
+
+import { hasHostPermission } from "../utils.js";
+import { rateLimitedApiCall, rateLimitedFetch } from "../rateLimiter.js";
+import {
+  TranslationError,
+  TranslationErrorCode,
+  createHostPermissionError,
+} from "../errors.js";
+import { hasPlaceholders, placeholderInstruction } from "../placeholders.js";
+import { recordUsage } from "../usage.js";
+
+/**
+ * Default OpenAI translation prompt.
+ * @type {string}
+ */
+const defaultOpenAIPrompt =
+  "Translate the following text to {TARGET}. {TONE}\n\n{TEXT}";
+
+/**
+ * Default system prompt sent with every OpenAI translation.
+ * @type {string}
+ */
+const defaultOpenAISystemPrompt =
+  "You are a helpful assistant that translates text with an emphasis on clear meaning.";
+
+/**
+ * Tone presets, substituted for {TONE} in the prompt.
+ * @type {Object<string, {name: string, instruction: string}>}
+ */
+const tonePresets = {
+  literal: {
+    name: "Literal",
+    instruction:
+      "Translate as literally as possible, keeping the original wording and sentence structure.",
+  },
+  natural: {
+    name: "Natural",
+    instruction:
+      "Use natural, fluent wording that a native speaker would write, keeping the original meaning.",
+  },
+  casual: {
+    name: "Casual",
+    instruction:
+      "Use a casual, conversational tone, as in a post between friends.",
+  },
+  formal: {
+    name: "Formal",
+    instruction: "Use a formal, polite tone.",
+  },
+};
+
+/**
+ * Generation settings for an OpenAI chat completion.
+ * @typedef {Object} OpenAIGenerationOptions
+ * @property {string} prompt - User prompt template with {TARGET}, {SOURCE}, {TEXT} and {TONE} variables.
+ * @property {string} systemPrompt - System prompt.
+ * @property {string} tone - Key of the tone preset.
+ * @property {number|null} temperature - Sampling temperature, or null for the server default.
+ * @property {number|null} maxTokens - Maximum completion tokens, or null for the server default.
+ * @property {string|null} sourceLanguageName - Language the text is written in, if known.
+ * @property {string[]} contextPosts - Earlier posts of the thread, sent for context only.
+ */
+
+/**
+ * Reads the generation settings from storage, falling back to the defaults.
+ * @param {Object} settings - Settings retrieved from storage.
+ * @param {string|null} [sourceLanguageName=null] - Language the text is written in, if known.
+ * @param {string[]} [contextPosts=[]] - Earlier posts of the thread, sent for context only.
+ * @returns {OpenAIGenerationOptions} - The generation settings.
+ */
+function getGenerationOptions(
+  settings,
+  sourceLanguageName = null,
+  contextPosts = [],
+) {
+  const temperature = parseFloat(settings.openaiTemperature);
+  const maxTokens = parseInt(settings.openaiMaxTokens, 10);
+
+  return {
+    prompt: settings.openaiPrompt || defaultOpenAIPrompt,
+    systemPrompt: settings.openaiSystemPrompt || defaultOpenAISystemPrompt,
+    tone: tonePresets[settings.openaiTone] ? settings.openaiTone : "natural",
+    temperature: Number.isNaN(temperature) ? null : temperature,
+    maxTokens: Number.isNaN(maxTokens) ? null : maxTokens,
+    sourceLanguageName,
+    contextPosts: contextPosts || [],
+  };
+}
+
+/**
+ * Instruction introducing the earlier posts of a thread, so replies and
+ * pronouns are translated in context.
+ * @type {string}
+ */
+const contextInstruction =
+  "The text replies to earlier posts in a thread. Use them only to understand the text, and do not translate them. The earlier posts, as a JSON array:";
+
+/**
+ * Builds the chat messages for a translation.
+ * If the prompt has no {TONE} variable, the tone instruction is added to the system prompt,
+ * and so are an instruction to keep placeholders if the text has any and the
+ * earlier posts of the thread, if given.
+ * @param {string} text - Text to translate.
+ * @param {string} targetLanguageName - Target language.
+ * @param {OpenAIGenerationOptions} generation - Generation settings.
+ * @returns {Object[]} - The chat messages.
+ */
+function buildTranslationMessages(text, targetLanguageName, generation) {
+  const toneInstruction = tonePresets[generation.tone].instruction;
+  let systemPrompt = generation.systemPrompt;
+  if (!generation.prompt.includes("{TONE}")) {
+    systemPrompt = `${systemPrompt} ${toneInstruction}`;
+  }
+  if (hasPlaceholders(text)) {
+    systemPrompt = `${systemPrompt} ${placeholderInstruction}`;
+  }
+  if (generation.contextPosts.length) {
+    systemPrompt = `${systemPrompt} ${contextInstruction} ${JSON.stringify(generation.contextPosts)}`;
+  }
+
+  const promptWithTarget = generation.prompt
+    .replace("{TARGET}", targetLanguageName)
+    .replace(
+      "{SOURCE}",
+      generation.sourceLanguageName || "the original language",
+    )
+    .replace("{TONE}", toneInstruction)
+    .replace("{TEXT}", text);
+
+  return [
+    {
+      role: "system",
+      content: systemPrompt,
+    },
+    {
+      role: "user",
+      content: promptWithTarget,
+    },
+  ];
+}
+
+/**
+ * Instruction added to the system prompt when several posts are translated in one request.
+ * @type {string}
+ */
+const batchInstruction =
+  "The text is a JSON array of separate posts. Translate each element on its own and reply with only a JSON array of the translations, in the same order and with the same number of elements.";
+
+/**
+ * Maximum number of posts translated in one chat completion.
+ * @type {number}
+ */
+const maxBatchSize = 20;
+
+/**
+ * Builds the chat messages for translating several texts in one request.
+ * The texts are sent as a JSON array in place of {TEXT}.
+ * @param {string[]} texts - Texts to translate.
+ * @param {string} targetLanguageName - Target language.
+ * @param {OpenAIGenerationOptions} generation - Generation settings.
+ * @returns {Object[]} - The chat messages.
+ */
+function buildBatchTranslationMessages(texts, targetLanguageName, generation) {
+  const [systemMessage, userMessage] = buildTranslationMessages(
+    JSON.stringify(texts),
+    targetLanguageName,
+    generation,
+  );
+  return [
+    {
+      ...systemMessage,
+      content: `${systemMessage.content} ${batchInstruction}`,
+    },
+    userMessage,
+  ];
+}
+
+/**
+ * Parses and validates the JSON array returned for a batch translation.
+ * Models sometimes wrap JSON in a Markdown code block, which is removed.
+ * Entries that are not a translation, such as null or an empty string, are
+ * returned as null so that only those texts need to be translated again.
+ * @param {string} content - The completion content.
+ * @param {number} count - The number of texts that were sent.
+ * @returns {Array<string|null>} - The translations, in the order of the texts.
+ * @throws {Error} - If the content is not a JSON array of that many entries.
+ */
+function parseBatchTranslations(content, count) {
+  const json = content.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  let translations = null;
+  try {
+    translations = JSON.parse(json);
+  } catch (error) {
+    translations = null;
+  }
+
+  if (!Array.isArray(translations) || translations.length !== count) {
+    throw new Error("OpenAI batch translation returned an invalid response.");
+  }
+  return translations.map((translation) =>
+    typeof translation === "string" && translation.trim()
+      ? translation.trim()
+      : null,
+  );
+}
+
+/**
+ * Connection details for an OpenAI-compatible chat completions API.
+ * @typedef {Object} OpenAIEndpoint
+ * @property {string} baseUrl - Base URL the "/chat/completions" path is appended to.
+ * @property {string} model - Model name sent with each request.
+ * @property {string} authHeader - "bearer" for "Authorization: Bearer", or "api-key" (Azure OpenAI).
+ * @property {string} apiVersion - Value of the "api-version" query parameter, or empty to omit it.
+ * @property {string} providerId - Provider whose rate limit applies to the endpoint.
+ */
+
+/**
+ * The official OpenAI endpoint.
+ * @type {OpenAIEndpoint}
+ */
+const defaultOpenAIEndpoint = {
+  baseUrl: "https://api.openai.com/v1",
+  model: "gpt-4o-mini",
+  authHeader: "bearer",
+  apiVersion: "",
+  providerId: "OpenAI",
+};
+
+/**
+ * Builds the URL and headers for a request to an OpenAI-compatible API.
+ * @param {string} path - API path, e.g. "/chat/completions".
+ * @param {string} apiKey - API key, or an empty string if the server does not require one.
+ * @param {OpenAIEndpoint} endpoint - The endpoint to call.
+ * @returns {{url: string, headers: Object<string, string>}} - Request URL and headers.
+ */
+function buildOpenAIRequest(path, apiKey, endpoint) {
+  let url = `${endpoint.baseUrl.replace(/\/+$/, "")}${path}`;
+  if (endpoint.apiVersion) {
+    url += `?api-version=${encodeURIComponent(endpoint.apiVersion)}`;
+  }
+
+  const headers = {
+    "Content-Type": "application/json",
+  };
+  if (apiKey && endpoint.authHeader === "api-key") {
+    headers["api-key"] = apiKey;
+  } else if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return { url, headers };
+}
+
+/**
+ * Builds the body of a chat completion request.
+ * @param {Object[]} messages - The chat messages.
+ * @param {OpenAIGenerationOptions} generation - Generation settings.
+ * @param {OpenAIEndpoint} endpoint - The endpoint to call.
+ * @returns {Object} - The request body.
+ */
+function buildChatCompletionBody(messages, generation, endpoint) {
+  const body = {
+    model: endpoint.model,
+    messages,
+  };
+  if (generation.temperature !== null) {
+    body.temperature = generation.temperature;
+  }
+  if (generation.maxTokens !== null) {
+    body.max_tokens = generation.maxTokens;
+  }
+  return body;
+}
+
+/**
+ * Returns the number of characters of the chat messages, counted towards
+ * the provider's usage.
+ * @param {Object[]} messages - The chat messages.
+ * @returns {number} - The total length of their content.
+ */
+function getMessagesLength(messages) {
+  return messages.reduce((sum, message) => sum + message.content.length, 0);
+}
+
+/**
+ * Counts the tokens a chat completion reported towards the provider's usage.
+ * @param {OpenAIEndpoint} endpoint - The endpoint that was called.
+ * @param {Object|undefined} usage - The "usage" object of the response, if any.
+ */
+function recordTokenUsage(endpoint, usage) {
+  if (!usage) {
+    return;
+  }
+  recordUsage(endpoint.providerId, {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+  }).catch((error) => {
+    console.error("BabbelSky: Failed to record usage.", error);
+  });
+}
+
+/**
+ * Sends a chat completion request and returns the reply.
+ * @param {Object[]} messages - The chat messages.
+ * @param {string} apiKey - API key.
+ * @param {OpenAIGenerationOptions} generation - Generation settings.
+ * @param {OpenAIEndpoint} endpoint - The endpoint to call.
+ * @returns {Promise<string>} - The content of the reply.
+ */
+async function requestChatCompletion(messages, apiKey, generation, endpoint) {
+  const { url, headers } = buildOpenAIRequest(
+    "/chat/completions",
+    apiKey,
+    endpoint,
+  );
+  const options = {
+    method: "POST",
+    headers,
+    body: JSON.stringify(
+      buildChatCompletionBody(messages, generation, endpoint),
+    ),
+  };
+
+  const data = await rateLimitedApiCall(endpoint.providerId, url, options, {
+    characters: getMessagesLength(messages),
+  });
+  recordTokenUsage(endpoint, data.usage);
+
+  if (data.choices && data.choices.length) {
+    return data.choices[0].message.content.trim();
+  }
+  throw new Error("OpenAI translation failed. Data returned:", data);
+}
+
+/**
+ * Parses one line of a server-sent event stream. Lines that are not data,
+ * such as comments used as keep-alives, and data that is not valid JSON are
+ * skipped.
+ * @param {string} line - The line.
+ * @returns {{done: boolean, event: Object|null}} - Whether the stream is done,
+ *   and the event the line carries, if any.
+ */
+function parseStreamLine(line) {
+  const trimmedLine = line.trim();
+  if (!trimmedLine.startsWith("data:")) {
+    return { done: false, event: null };
+  }
+  const data = trimmedLine.slice("data:".length).trim();
+  if (data === "[DONE]") {
+    return { done: true, event: null };
+  }
+  try {
+    return { done: false, event: JSON.parse(data) };
+  } catch (error) {
+    console.warn("BabbelSky: Skipping malformed stream event:", data);
+    return { done: false, event: null };
+  }
+}
+
+/**
+ * Sends a streaming chat completion request, reading the server-sent events
+ * as they arrive.
+ * @param {Object[]} messages - The chat messages.
+ * @param {string} apiKey - API key.
+ * @param {OpenAIGenerationOptions} generation - Generation settings.
+ * @param {OpenAIEndpoint} endpoint - The endpoint to call.
+ * @param {function(string): void} onChunk - Called with each piece of the reply.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @returns {Promise<string>} - The complete content of the reply.
+ */
+async function requestChatCompletionStream(
+  messages,
+  apiKey,
+  generation,
+  endpoint,
+  onChunk,
+  signal,
+) {
+  const { url, headers } = buildOpenAIRequest(
+    "/chat/completions",
+    apiKey,
+    endpoint,
+  );
+  const body = {
+    ...buildChatCompletionBody(messages, generation, endpoint),
+    stream: true,
+  };
+  // Only OpenAI is known to report usage at the end of a stream
+  if (endpoint.providerId === defaultOpenAIEndpoint.providerId) {
+    body.stream_options = { include_usage: true };
+  }
+  const response = await rateLimitedFetch(
+    endpoint.providerId,
+    url,
+    {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    },
+    { characters: getMessagesLength(messages) },
+  );
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  let streamDone = false;
+
+  while (!streamDone) {
+    const { done, value } = await reader.read();
+    let lines;
+    if (done) {
+      // The last event may not end with a newline
+      lines = [buffer + decoder.decode()];
+      streamDone = true;
+    } else {
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by newlines; keep an incomplete last line for the next read
+      lines = buffer.split("\n");
+      buffer = lines.pop();
+    }
+
+    for (const line of lines) {
+      const { done: eventsDone, event } = parseStreamLine(line);
+      if (eventsDone) {
+        streamDone = true;
+        break;
+      }
+      if (!event) {
+        continue;
+      }
+
+      recordTokenUsage(endpoint, event.usage);
+      const delta =
+        event.choices && event.choices.length && event.choices[0].delta
+          ? event.choices[0].delta.content
+          : null;
+      if (delta) {
+        content += delta;
+        onChunk(delta);
+      }
+    }
+  }
+
+  if (!content) {
+    throw new TranslationError(
+      "OpenAI translation failed: the stream ended without a reply.",
+      {
+        code: TranslationErrorCode.SERVER_ERROR,
+        providerId: endpoint.providerId,
+      },
+    );
+  }
+  return content.trim();
+}
+
+/**
+ * Translates text using OpenAI's API or an OpenAI-compatible server.
+ * @param {string} text - Text to translate.
+ * @param {string} apiKey - API key.
+ * @param {string} targetLanguageName - Target language.
+ * @param {OpenAIGenerationOptions} generation - Prompt and generation settings.
+ * @param {OpenAIEndpoint} [endpoint] - The endpoint to call. Defaults to OpenAI.
+ * @returns {Promise<string>} - Translated text.
+ */
+function translateWithOpenAI(
+  text,
+  apiKey,
+  targetLanguageName,
+  generation,
+  endpoint = defaultOpenAIEndpoint,
+) {
+  return requestChatCompletion(
+    buildTranslationMessages(text, targetLanguageName, generation),
+    apiKey,
+    generation,
+    endpoint,
+  );
+}
+
+/**
+ * Translates text using OpenAI's API or an OpenAI-compatible server,
+ * streaming the translation as it is generated.
+ * @param {string} text - Text to translate.
+ * @param {string} apiKey - API key.
+ * @param {string} targetLanguageName - Target language.
+ * @param {OpenAIGenerationOptions} generation - Prompt and generation settings.
+ * @param {OpenAIEndpoint} endpoint - The endpoint to call.
+ * @param {import("./registry.js").StreamOptions} stream - Chunk callback and abort signal.
+ * @returns {Promise<string>} - The complete translated text.
+ */
+function streamTranslationWithOpenAI(
+  text,
+  apiKey,
+  targetLanguageName,
+  generation,
+  endpoint,
+  { onChunk, signal },
+) {
+  return requestChatCompletionStream(
+    buildTranslationMessages(text, targetLanguageName, generation),
+    apiKey,
+    generation,
+    endpoint,
+    onChunk,
+    signal,
+  );
+}
+
+/**
+ * Translates several texts using OpenAI's API or an OpenAI-compatible server,
+ * sending up to maxBatchSize of them per request as a JSON array.
+ * If a reply is not a valid JSON array, for example because it was cut off
+ * by the max tokens setting, those texts are translated one by one instead.
+ * @param {string[]} texts - Texts to translate.
+ * @param {string} apiKey - API key.
+ * @param {string} targetLanguageName - Target language.
+ * @param {OpenAIGenerationOptions} generation - Prompt and generation settings.
+ * @param {OpenAIEndpoint} [endpoint] - The endpoint to call. Defaults to OpenAI.
+ * @returns {Promise<string[]>} - Translated texts, in the order of the texts.
+ */
+async function translateBatchWithOpenAI(
+  texts,
+  apiKey,
+  targetLanguageName,
+  generation,
+  endpoint = defaultOpenAIEndpoint,
+) {
+  const translations = [];
+
+  for (let start = 0; start < texts.length; start += maxBatchSize) {
+    const batch = texts.slice(start, start + maxBatchSize);
+    const content = await requestChatCompletion(
+      buildBatchTranslationMessages(batch, targetLanguageName, generation),
+      apiKey,
+      generation,
+      endpoint,
+    );
+
+    let batchTranslations = null;
+    try {
+      batchTranslations = parseBatchTranslations(content, batch.length);
+    } catch (error) {
+      console.warn(
+        "BabbelSky: Translating the batch one post at a time.",
+        error,
+      );
+      batchTranslations = batch.map(() => null);
+    }
+
+    // Only the posts the reply left out are translated again
+    for (const [index, text] of batch.entries()) {
+      translations.push(
+        batchTranslations[index] ??
+          (await translateWithOpenAI(
+            text,
+            apiKey,
+            targetLanguageName,
+            generation,
+            endpoint,
+          )),
+      );
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Lists the models offered by an OpenAI-compatible API.
+ * @param {string} apiKey - API key.
+ * @param {OpenAIEndpoint} endpoint - The endpoint to query.
+ * @returns {Promise<string[]>} - Sorted model IDs.
+ * @throws {TranslationError} - If the request fails or the response lists no models.
+ */
+async function listOpenAIModels(apiKey, endpoint) {
+  const { url, headers } = buildOpenAIRequest("/models", apiKey, endpoint);
+  const response = await rateLimitedFetch(endpoint.providerId, url, {
+    method: "GET",
+    headers,
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    data = null;
+  }
+  if (!data || !Array.isArray(data.data)) {
+    throw new TranslationError("The server did not return a list of models.", {
+      code: TranslationErrorCode.REQUEST_FAILED,
+      providerId: endpoint.providerId,
+      status: response.status,
+    });
+  }
+  return data.data.map((model) => model.id).sort();
+}
+
+/**
+ * Returns the endpoint configured for the OpenAI-compatible provider.
+ * @param {Object<string, string>} credentials - Decrypted credentials.
+ * @param {Object} settings - Settings retrieved from storage.
+ * @returns {OpenAIEndpoint} - The endpoint.
+ */
+function getCompatibleEndpoint(credentials, settings) {
+  return {
+    baseUrl: credentials.baseUrl,
+    model: settings.openaiCompatibleModel || defaultOpenAIEndpoint.model,
+    authHeader: settings.openaiCompatibleAuthHeader || "bearer",
+    apiVersion: settings.openaiCompatibleApiVersion || "",
+    providerId: "OpenAICompatible",
+  };
+}
+
+/**
+ * Returns the official OpenAI endpoint with the model picked on the options page.
+ * @param {Object} settings - Settings retrieved from storage.
+ * @returns {OpenAIEndpoint} - The endpoint.
+ */
+function getOpenAIEndpoint(settings) {
+  return {
+    ...defaultOpenAIEndpoint,
+    model: settings.openaiModel || defaultOpenAIEndpoint.model,
+  };
+}
+
+/**
+ * Checks that the user granted access to their OpenAI-compatible server.
+ * @param {string} baseUrl - Base URL of the server.
+ * @returns {Promise<void>}
+ * @throws {import("../errors.js").TranslationError} - If the host permission is missing.
+ */
+async function checkCompatibleHostPermission(baseUrl) {
+  if (!(await hasHostPermission(baseUrl))) {
+    throw createHostPermissionError(baseUrl, {
+      id: "OpenAICompatible",
+      name: "OpenAI-compatible",
+    });
+  }
+}
+
+/**
+ * Settings shared by the OpenAI and OpenAI-compatible providers.
+ * @type {string[]}
+ */
+const generationSettings = [
+  "openaiPrompt",
+  "openaiSystemPrompt",
+  "openaiTone",
+  "openaiTemperature",
+  "openaiMaxTokens",
+];
+
+/**
+ * OpenAI provider.
+ * @type {import("./registry.js").TranslationProvider}
+ */
+const openaiProvider = {
+  id: "OpenAI",
+  name: "OpenAI",
+  credentials: [
+    {
+      key: "apiKey",
+      label: "OpenAI API Key",
+      storageKey: "encryptedOpenaiApiKey",
+      placeholder: "OpenAI API Key",
+    },
+  ],
+  languages: null,
+  settings: [...generationSettings, "openaiModel"],
+  rateLimit: { capacity: 5, refillPerSecond: 1 },
+  // List prices of gpt-4o-mini, the default model
+  pricing: { perMillionInputTokens: 0.15, perMillionOutputTokens: 0.6 },
+  reportsTokens: true,
+  translate(
+    text,
+    {
+      credentials,
+      targetLanguageName,
+      settings,
+      sourceLanguageName,
+      contextPosts,
+    },
+  ) {
+    return translateWithOpenAI(
+      text,
+      credentials.apiKey,
+      targetLanguageName,
+      getGenerationOptions(settings, sourceLanguageName, contextPosts),
+      getOpenAIEndpoint(settings),
+    );
+  },
+  translateBatch(
+    texts,
+    {
+      credentials,
+      targetLanguageName,
+      settings,
+      sourceLanguageName,
+      contextPosts,
+    },
+  ) {
+    return translateBatchWithOpenAI(
+      texts,
+      credentials.apiKey,
+      targetLanguageName,
+      getGenerationOptions(settings, sourceLanguageName, contextPosts),
+      getOpenAIEndpoint(settings),
+    );
+  },
+  translateStream(
+    text,
+    {
+      credentials,
+      targetLanguageName,
+      settings,
+      sourceLanguageName,
+      contextPosts,
+    },
+    stream,
+  ) {
+    return streamTranslationWithOpenAI(
+      text,
+      credentials.apiKey,
+      targetLanguageName,
+      getGenerationOptions(settings, sourceLanguageName, contextPosts),
+      getOpenAIEndpoint(settings),
+      stream,
+    );
+  },
+  async listModels({ credentials }) {
+    const models = await listOpenAIModels(
+      credentials.apiKey,
+      defaultOpenAIEndpoint,
+    );
+    // Only chat models can translate; hide embeddings, audio, image models etc.
+    return models.filter(
+      (model) =>
+        /^(gpt-|chatgpt-|o\d)/.test(model) &&
+        !/(audio|realtime|transcribe|tts|image|search)/.test(model),
+    );
+  },
+};
+
+/**
+ * Provider for any server implementing OpenAI's chat completions API,
+ * such as Ollama, LM Studio, vLLM or Azure OpenAI.
+ * @type {import("./registry.js").TranslationProvider}
+ */
+const openaiCompatibleProvider = {
+  id: "OpenAICompatible",
+  name: "OpenAI-compatible server",
+  credentials: [
+    {
+      key: "baseUrl",
+      label: "OpenAI-compatible Base URL",
+      storageKey: "openaiCompatibleUrl",
+      placeholder: "http://localhost:11434/v1",
+      secret: false,
+      hostPermission: true,
+    },
+    {
+      key: "apiKey",
+      label: "OpenAI-compatible API Key",
+      storageKey: "encryptedOpenaiCompatibleApiKey",
+      placeholder: "API Key (optional)",
+      optional: true,
+    },
+  ],
+  languages: null,
+  settings: [
+    ...generationSettings,
+    "openaiCompatibleModel",
+    "openaiCompatibleAuthHeader",
+    "openaiCompatibleApiVersion",
+  ],
+  rateLimit: { capacity: 5, refillPerSecond: 1 },
+  reportsTokens: true,
+  async translate(
+    text,
+    {
+      credentials,
+      targetLanguageName,
+      settings,
+      sourceLanguageName,
+      contextPosts,
+    },
+  ) {
+    await checkCompatibleHostPermission(credentials.baseUrl);
+    return translateWithOpenAI(
+      text,
+      credentials.apiKey || "",
+      targetLanguageName,
+      getGenerationOptions(settings, sourceLanguageName, contextPosts),
+      getCompatibleEndpoint(credentials, settings),
+    );
+  },
+  async translateBatch(
+    texts,
+    {
+      credentials,
+      targetLanguageName,
+      settings,
+      sourceLanguageName,
+      contextPosts,
+    },
+  ) {
+    await checkCompatibleHostPermission(credentials.baseUrl);
+    return translateBatchWithOpenAI(
+      texts,
+      credentials.apiKey || "",
+      targetLanguageName,
+      getGenerationOptions(settings, sourceLanguageName, contextPosts),
+      getCompatibleEndpoint(credentials, settings),
+    );
+  },
+  async translateStream(
+    text,
+    {
+      credentials,
+      targetLanguageName,
+      settings,
+      sourceLanguageName,
+      contextPosts,
+    },
+    stream,
+  ) {
+    await checkCompatibleHostPermission(credentials.baseUrl);
+    return streamTranslationWithOpenAI(
+      text,
+      credentials.apiKey || "",
+      targetLanguageName,
+      getGenerationOptions(settings, sourceLanguageName, contextPosts),
+      getCompatibleEndpoint(credentials, settings),
+      stream,
+    );
+  },
+  async listModels({ credentials, settings }) {
+    await checkCompatibleHostPermission(credentials.baseUrl);
+    return listOpenAIModels(
+      credentials.apiKey || "",
+      getCompatibleEndpoint(credentials, settings),
+    );
+  },
+};
+
+export {
+  openaiProvider,
+  openaiCompatibleProvider,
+  translateWithOpenAI,
+  translateBatchWithOpenAI,
+  streamTranslationWithOpenAI,
+  buildOpenAIRequest,
+  getGenerationOptions,
+  defaultOpenAIPrompt,
+  defaultOpenAISystemPrompt,
+  defaultOpenAIEndpoint,
+  tonePresets,
+};
@@ -0,0 +1,171 @@
+// providers/registry.js
+
+/**
+ * @fileoverview
+ * Registry of translation providers for the BabbelSky extension.
+ * The background script, the options page and the key storage are all
+ * driven from the providers registered here.
+ */
+
+/**
+ * @typedef {Object} ProviderCredential
+ * @property {string} key - Name the decrypted value is passed to translate() under.
+ * @property {string} label - Label shown on the options page.
+ * @property {string} storageKey - chrome.storage.sync key holding the value.
+ * @property {string} [placeholder] - Placeholder for the options page input.
+ * @property {boolean} [secret=true] - Whether the value is encrypted and masked (API keys).
+ * @property {boolean} [optional=false] - Whether the provider works without this value.
+ * @property {boolean} [hostPermission=false] - Whether the value is a URL whose host
+ *   must be granted at runtime before the provider can call it.
+ */
+
+/**
+ * @typedef {Object} TranslationContext
+ * @property {Object<string, string>} credentials - Decrypted credentials, keyed by credential key.
+ * @property {string} targetLanguage - Target language code (e.g. "en").
+ * @property {string} targetLanguageName - Target language name (e.g. "English").
+ * @property {Object} settings - The provider settings read from storage.
+ * @property {string|null} sourceLanguage - Language code detected on the page, if any.
+ * @property {string|null} sourceLanguageName - Name of that language, if known.
+ * @property {string[]} [contextPosts] - Earlier posts of the thread, which providers
+ *   backed by language models may use to translate replies in context.
+ */
+
+/**
+ * @typedef {Object} TranslationResult
+ * @property {string} text - The translated text.
+ * @property {string} [detectedSourceLanguage] - Source language code reported by the provider.
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {function(string): void} onChunk - Called with each piece of the translation as it arrives.
+ * @property {AbortSignal} signal - Aborted when the user no longer needs the translation.
+ */
+
+/**
+ * Token bucket limiting the requests sent to a provider.
+ * @typedef {Object} RateLimit
+ * @property {number} capacity - Requests that can be sent in a burst.
+ * @property {number} refillPerSecond - Requests allowed per second after a burst.
+ */
+
+/**
+ * List prices of a provider in US dollars, used to estimate costs.
+ * @typedef {Object} Pricing
+ * @property {number} [perMillionCharacters] - Price per million characters sent.
+ * @property {number} [freeCharactersPerMonth] - Characters free of charge each month.
+ * @property {number} [perMillionInputTokens] - Price per million prompt tokens.
+ * @property {number} [perMillionOutputTokens] - Price per million completion tokens.
+ */
+
+/**
+ * @typedef {Object} TranslationProvider
+ * @property {string} id - Unique identifier, stored as the selected translationService.
+ * @property {string} name - Display name shown on the options page.
+ * @property {ProviderCredential[]} credentials - Credentials required by the provider.
+ * @property {string[]|null} languages - Supported target language codes, or null for all.
+ * @property {string[]} settings - Additional chrome.storage.sync keys the provider reads.
+ * @property {RateLimit} [rateLimit] - Request rate limit. Defaults to defaultRateLimit.
+ * @property {Pricing|null} [pricing] - List prices, or null (the default) for
+ *   self-hosted servers and providers without known prices.
+ * @property {boolean} [reportsTokens=false] - Whether the provider reports the tokens
+ *   each request used, so a monthly token limit can be set for it.
+ * @property {function(string, TranslationContext): Promise<string|TranslationResult>} translate
+ *   - Translates text. Providers that detect the source language return a TranslationResult.
+ * @property {function(string[], TranslationContext): Promise<Array<string|TranslationResult>>} [translateBatch]
+ *   - Translates several texts in as few requests as possible, returning results in the same order.
+ *   Without it, texts are translated one at a time.
+ * @property {function(string, TranslationContext, StreamOptions): Promise<string|TranslationResult>} [translateStream]
+ *   - Translates text, reporting the translation progressively. Resolves with the complete translation.
+ * @property {function({credentials: Object<string, string>, settings: Object}): Promise<string[]>} [listModels]
+ *   - Lists the models the user can pick from, for providers backed by a choice of models.
+ */
+
+/**
+ * Rate limit of providers that don't declare one: a burst of 5 requests,
+ * then one every 2 seconds.
+ * @type {RateLimit}
+ */
+const defaultRateLimit = { capacity: 5, refillPerSecond: 0.5 };
+
+/**
+ * Registered providers, keyed by id, in registration order.
+ * @type {Map<string, TranslationProvider>}
+ */
+const providers = new Map();
+
+/**
+ * Registers a translation provider.
+ * @param {TranslationProvider} provider - The provider to register.
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.id || typeof provider.translate !== "function") {
+    throw new Error("BabbelSky: Invalid translation provider.");
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(
+      `BabbelSky: Translation provider "${provider.id}" is already registered.`,
+    );
+  }
+  providers.set(provider.id, {
+    credentials: [],
+    languages: null,
+    settings: [],
+    rateLimit: defaultRateLimit,
+    pricing: null,
+    reportsTokens: false,
+    ...provider,
+  });
+}
+
+/**
+ * Returns the provider registered under the given id.
+ * @param {string} id - The provider id.
+ * @returns {TranslationProvider|null} - The provider or null if not registered.
+ */
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Returns all registered providers in registration order.
+ * @returns {TranslationProvider[]} - The registered providers.
+ */
+function getProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Returns every chrome.storage.sync key used by the registered providers.
+ * @returns {string[]} - Credential storage keys and setting keys.
+ */
+function getProviderStorageKeys() {
+  const keys = new Set();
+  providers.forEach((provider) => {
+    provider.credentials.forEach((credential) =>
+      keys.add(credential.storageKey),
+    );
+    provider.settings.forEach((setting) => keys.add(setting));
+  });
+  return Array.from(keys);
+}
+
+/**
+ * Checks whether a provider supports the given target language.
+ * @param {TranslationProvider} provider - The provider.
+ * @param {string} languageCode - The target language code.
+ * @returns {boolean} - True if the language is supported.
+ */
+function supportsLanguage(provider, languageCode) {
+  return !provider.languages || provider.languages.includes(languageCode);
+}
+
+export {
+  defaultRateLimit,
+  registerProvider,
+  getProvider,
+  getProviders,
+  getProviderStorageKeys,
+  supportsLanguage,
+};
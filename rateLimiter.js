@@ -0,0 +1,279 @@
+// rateLimiter.js
+
+/**
+ * @fileoverview
+ * Rate limiting and retries for requests to translation providers.
+ * Each provider has a token bucket, stored in chrome.storage.local so the
+ * limit survives the service worker being stopped and restarted. Requests
+ * that fail with 429 or 5xx, or on network errors, are retried with
+ * exponential backoff and jitter, honouring Retry-After headers. The
+ * characters each request sends are checked against the user's monthly cap
+ * and counted once the request succeeds.
+ */
+
+import { getLocalStorage, setLocalStorage } from "./utils.js";
+import { defaultRateLimit, getProvider } from "./providers/registry.js";
+import { createNetworkError, createResponseError } from "./errors.js";
+import { checkUsageCap, recordUsage } from "./usage.js";
+
+/**
+ * chrome.storage.local key holding the token buckets.
+ * @type {string}
+ */
+const BUCKET_STORAGE_KEY = "rateLimitBuckets";
+
+/**
+ * Number of times a failed request is retried.
+ * @type {number}
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * Delay before the first retry, doubled on each following retry.
+ * @type {number}
+ */
+const BACKOFF_BASE_MS = 1000;
+
+/**
+ * Longest delay between retries. A Retry-After longer than this fails the
+ * request immediately instead of keeping the user waiting.
+ * @type {number}
+ */
+const BACKOFF_MAX_MS = 30000;
+
+/**
+ * @typedef {Object} TokenBucket
+ * @property {number} tokens - Requests that can be sent right away.
+ * @property {number} updatedAt - When tokens was last computed.
+ * @property {number} blockedUntil - Time before which no request is sent, from Retry-After.
+ */
+
+/**
+ * Serializes updates to the stored buckets, so concurrent requests don't
+ * overwrite each other's changes.
+ * @type {Promise<void>}
+ */
+let bucketQueue = Promise.resolve();
+
+/**
+ * Runs a task after the previously queued bucket updates.
+ * @param {function(): Promise<*>} task - The task.
+ * @returns {Promise<*>} - The result of the task.
+ */
+function withBucketLock(task) {
+  const result = bucketQueue.then(task);
+  bucketQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Waits for a delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException("The request was aborted.", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new DOMException("The request was aborted.", "AbortError"));
+        },
+        { once: true },
+      );
+    }
+  });
+}
+
+/**
+ * Reads a provider's bucket and refills it for the time elapsed.
+ * @param {Object<string, TokenBucket>} buckets - The stored buckets.
+ * @param {string} providerId - The provider id.
+ * @param {import("./providers/registry.js").RateLimit} rateLimit - The provider's limit.
+ * @param {number} now - The current time.
+ * @returns {TokenBucket} - The refilled bucket.
+ */
+function refillBucket(buckets, providerId, rateLimit, now) {
+  const bucket = buckets[providerId] || {
+    tokens: rateLimit.capacity,
+    updatedAt: now,
+    blockedUntil: 0,
+  };
+  const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+  return {
+    tokens: Math.min(
+      rateLimit.capacity,
+      bucket.tokens + elapsedSeconds * rateLimit.refillPerSecond,
+    ),
+    updatedAt: now,
+    blockedUntil: bucket.blockedUntil || 0,
+  };
+}
+
+/**
+ * Takes a token from a provider's bucket if one is available.
+ * @param {string} providerId - The provider id.
+ * @param {import("./providers/registry.js").RateLimit} rateLimit - The provider's limit.
+ * @returns {Promise<number>} - 0 if a token was taken, otherwise how long to wait before trying again.
+ */
+async function takeToken(providerId, rateLimit) {
+  const items = await getLocalStorage([BUCKET_STORAGE_KEY]);
+  const buckets = items[BUCKET_STORAGE_KEY] || {};
+  const now = Date.now();
+  const bucket = refillBucket(buckets, providerId, rateLimit, now);
+
+  let wait = 0;
+  if (bucket.blockedUntil > now) {
+    wait = bucket.blockedUntil - now;
+  } else if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+  } else {
+    wait = Math.ceil(((1 - bucket.tokens) / rateLimit.refillPerSecond) * 1000);
+  }
+
+  buckets[providerId] = bucket;
+  await setLocalStorage({ [BUCKET_STORAGE_KEY]: buckets });
+  return wait;
+}
+
+/**
+ * Stops requests to a provider until a time, as asked by a Retry-After header.
+ * @param {string} providerId - The provider id.
+ * @param {import("./providers/registry.js").RateLimit} rateLimit - The provider's limit.
+ * @param {number} delay - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+async function blockProvider(providerId, rateLimit, delay) {
+  const items = await getLocalStorage([BUCKET_STORAGE_KEY]);
+  const buckets = items[BUCKET_STORAGE_KEY] || {};
+  const now = Date.now();
+  const bucket = refillBucket(buckets, providerId, rateLimit, now);
+
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, now + delay);
+  buckets[providerId] = bucket;
+  await setLocalStorage({ [BUCKET_STORAGE_KEY]: buckets });
+}
+
+/**
+ * Waits until the provider's rate limit allows another request.
+ * @param {{id: string, rateLimit: import("./providers/registry.js").RateLimit}} provider - The provider.
+ * @param {AbortSignal} [signal] - Stops waiting when aborted.
+ * @returns {Promise<void>}
+ */
+async function acquireToken(provider, signal) {
+  for (;;) {
+    const wait = await withBucketLock(() =>
+      takeToken(provider.id, provider.rateLimit),
+    );
+    if (!wait) {
+      return;
+    }
+    await sleep(wait, signal);
+  }
+}
+
+/**
+ * Returns the delay before a retry: exponential backoff with jitter, so
+ * requests that failed together don't all retry at the same moment.
+ * @param {number} attempt - The number of the failed attempt, from 0.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getBackoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Fetches a URL on behalf of a provider, within the provider's rate limit,
+ * retrying rate limited, server and network errors.
+ * @param {string} providerId - The provider the request is sent for.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} [options] - Fetch options. options.signal also cancels waiting.
+ * @param {Object} [usage] - What the request sends, counted towards the provider's usage.
+ * @param {number} [usage.characters=0] - Characters of text sent.
+ * @returns {Promise<Response>} - The successful response, for callers that read it as a stream.
+ * @throws {import("./errors.js").TranslationError} - If the request fails for good, or
+ *   would go over the monthly cap the user set for the provider.
+ */
+async function rateLimitedFetch(
+  providerId,
+  url,
+  options = {},
+  { characters = 0 } = {},
+) {
+  const provider = getProvider(providerId) || {
+    id: providerId,
+    name: providerId,
+    rateLimit: defaultRateLimit,
+  };
+  if (characters) {
+    await checkUsageCap(provider, characters);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireToken(provider, options.signal);
+
+    let response = null;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (error.name === "AbortError" || attempt >= MAX_RETRIES) {
+        throw error.name === "AbortError"
+          ? error
+          : createNetworkError(error, provider);
+      }
+      await sleep(getBackoffDelay(attempt), options.signal);
+      continue;
+    }
+
+    if (response.ok) {
+      if (characters) {
+        recordUsage(provider.id, { characters }).catch((error) => {
+          console.error("BabbelSky: Failed to record usage.", error);
+        });
+      }
+      return response;
+    }
+
+    const error = await createResponseError(response, provider);
+    if (error.retryAfter !== null) {
+      // Hold back every request to this provider, not only this one
+      await withBucketLock(() =>
+        blockProvider(provider.id, provider.rateLimit, error.retryAfter),
+      );
+    }
+    if (
+      !error.retryable ||
+      attempt >= MAX_RETRIES ||
+      error.retryAfter > BACKOFF_MAX_MS
+    ) {
+      throw error;
+    }
+    await sleep(error.retryAfter ?? getBackoffDelay(attempt), options.signal);
+  }
+}
+
+/**
+ * Performs an API call on behalf of a provider, within the provider's rate
+ * limit, retrying rate limited, server and network errors.
+ * @param {string} providerId - The provider the request is sent for.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} options - Fetch options.
+ * @param {Object} [usage] - What the request sends, see rateLimitedFetch().
+ * @returns {Promise<Object>} - The parsed JSON response.
+ * @throws {import("./errors.js").TranslationError} - If the request fails for good, or
+ *   would go over the monthly cap the user set for the provider.
+ */
+async function rateLimitedApiCall(providerId, url, options, usage) {
+  const response = await rateLimitedFetch(providerId, url, options, usage);
+  return response.json();
+}
+
+export { rateLimitedFetch, rateLimitedApiCall };
@@ -0,0 +1,381 @@
+// usage.js
+
+/**
+ * @fileoverview
+ * Usage metering for the BabbelSky extension.
+ * Counts the translations each provider made, the characters sent to it and
+ * the tokens it reported, per day and per month, in chrome.storage.local.
+ * Translations served from the cache are not counted. Monthly character and
+ * token caps set on the options page warn about, or block, requests that
+ * would go over.
+ */
+
+import { getLocalStorage, getStorage, setLocalStorage } from "./utils.js";
+import { TranslationError, TranslationErrorCode } from "./errors.js";
+
+/**
+ * chrome.storage.local key holding the usage statistics.
+ * @type {string}
+ */
+const USAGE_STORAGE_KEY = "usageStats";
+
+/**
+ * Number of days the daily statistics are kept.
+ * @type {number}
+ */
+const USAGE_MAX_DAYS = 31;
+
+/**
+ * Number of months the monthly statistics are kept.
+ * @type {number}
+ */
+const USAGE_MAX_MONTHS = 12;
+
+/**
+ * @typedef {Object} UsageCounts
+ * @property {number} translations - Posts translated.
+ * @property {number} characters - Characters of text sent.
+ * @property {number} promptTokens - Prompt tokens reported by the provider.
+ * @property {number} completionTokens - Completion tokens reported by the provider.
+ */
+
+/**
+ * @typedef {Object} UsageStats
+ * @property {Object<string, Object<string, UsageCounts>>} days - Counts keyed by
+ *   day ("YYYY-MM-DD", local time), then by provider ID.
+ * @property {Object<string, Object<string, UsageCounts>>} months - Counts keyed by
+ *   month ("YYYY-MM", local time), then by provider ID.
+ */
+
+/**
+ * Average number of characters per token, used to estimate the prompt
+ * tokens of a request before it is sent.
+ * @type {number}
+ */
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Estimates the tokens a request will use before it is sent. A translation
+ * is about as long as its text, so the reply is estimated to take as many
+ * tokens as the prompt.
+ * @param {number} characters - Characters the request sends.
+ * @returns {number} - The estimated prompt and reply tokens.
+ */
+function estimateRequestTokens(characters) {
+  const promptTokens = Math.ceil(characters / CHARACTERS_PER_TOKEN);
+  return promptTokens * 2;
+}
+
+/**
+ * Monthly cap on the characters sent to a provider and the tokens it used,
+ * stored per provider ID in the usageCaps setting.
+ * @typedef {Object} UsageCap
+ * @property {number} [characters] - Characters allowed per month, if capped.
+ * @property {number} [tokens] - Prompt and completion tokens allowed per month, if capped.
+ * @property {string} mode - "soft" to warn when the cap is passed, "hard" to block requests.
+ */
+
+/**
+ * A provider over its monthly cap.
+ * @typedef {Object} CapWarning
+ * @property {string} providerId - The provider.
+ * @property {number} characters - Characters sent to it this month.
+ * @property {number} tokens - Tokens it used this month.
+ * @property {UsageCap} cap - The cap.
+ */
+
+/**
+ * Counts with nothing counted yet.
+ * @type {UsageCounts}
+ */
+const emptyCounts = {
+  translations: 0,
+  characters: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+};
+
+/**
+ * Serializes updates to the stored statistics, so concurrent translations
+ * don't overwrite each other's counts.
+ * @type {Promise<void>}
+ */
+let usageQueue = Promise.resolve();
+
+/**
+ * Returns the key of the day a time falls on, in local time.
+ * @param {Date} [date=new Date()] - The time.
+ * @returns {string} - The day, e.g. "2024-11-23".
+ */
+function getDayKey(date = new Date()) {
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${getMonthKey(date)}-${day}`;
+}
+
+/**
+ * Returns the key of the month a time falls in, in local time.
+ * @param {Date} [date=new Date()] - The time.
+ * @returns {string} - The month, e.g. "2024-11".
+ */
+function getMonthKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  return `${date.getFullYear()}-${month}`;
+}
+
+/**
+ * Reads the usage statistics from storage.
+ * @returns {Promise<UsageStats>} - The statistics.
+ */
+async function readUsage() {
+  const items = await getLocalStorage([USAGE_STORAGE_KEY]);
+  return { days: {}, months: {}, ...items[USAGE_STORAGE_KEY] };
+}
+
+/**
+ * Adds counts to another set of counts.
+ * @param {UsageCounts|undefined} counts - The counts to add to, if any.
+ * @param {Partial<UsageCounts>} added - The counts to add.
+ * @returns {UsageCounts} - The sums.
+ */
+function addCounts(counts, added) {
+  const sums = { ...emptyCounts };
+  Object.keys(emptyCounts).forEach((key) => {
+    sums[key] = ((counts && counts[key]) || 0) + (added[key] || 0);
+  });
+  return sums;
+}
+
+/**
+ * Adds counts to a provider's entry of the current period, and drops the
+ * oldest periods beyond a limit.
+ * @param {Object<string, Object<string, UsageCounts>>} periods - Counts by period, modified in place.
+ * @param {string} periodKey - The current period.
+ * @param {number} maxPeriods - Number of periods kept.
+ * @param {string} providerId - The provider.
+ * @param {Partial<UsageCounts>} counts - The counts to add.
+ */
+function addToPeriod(periods, periodKey, maxPeriods, providerId, counts) {
+  const period = periods[periodKey] || {};
+  period[providerId] = addCounts(period[providerId], counts);
+  periods[periodKey] = period;
+
+  // Keys sort by date, so the oldest periods come first
+  Object.keys(periods)
+    .sort()
+    .slice(0, -maxPeriods)
+    .forEach((key) => {
+      delete periods[key];
+    });
+}
+
+/**
+ * Records usage of a provider for today and this month.
+ * @param {string} providerId - The provider.
+ * @param {Partial<UsageCounts>} counts - What was used.
+ * @returns {Promise<void>}
+ */
+function recordUsage(providerId, counts) {
+  const task = async () => {
+    const usage = await readUsage();
+    const now = new Date();
+    addToPeriod(usage.days, getDayKey(now), USAGE_MAX_DAYS, providerId, counts);
+    addToPeriod(
+      usage.months,
+      getMonthKey(now),
+      USAGE_MAX_MONTHS,
+      providerId,
+      counts,
+    );
+    await setLocalStorage({ [USAGE_STORAGE_KEY]: usage });
+  };
+
+  const result = usageQueue.then(task);
+  usageQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Sums the counts of every provider.
+ * @param {Object<string, UsageCounts>} providers - Counts keyed by provider ID.
+ * @returns {UsageCounts} - The total.
+ */
+function getTotal(providers) {
+  return Object.values(providers).reduce(addCounts, { ...emptyCounts });
+}
+
+/**
+ * Returns today's usage, per provider and in total.
+ * @returns {Promise<{providers: Object<string, UsageCounts>, total: UsageCounts}>} - The counts.
+ */
+async function getTodayUsage() {
+  const usage = await readUsage();
+  const providers = usage.days[getDayKey()] || {};
+  return { providers, total: getTotal(providers) };
+}
+
+/**
+ * Returns the usage of today and of this month, per provider.
+ * @returns {Promise<{today: Object<string, UsageCounts>, month: Object<string, UsageCounts>}>} - The counts.
+ */
+async function getUsageSummary() {
+  const usage = await readUsage();
+  const now = new Date();
+  return {
+    today: usage.days[getDayKey(now)] || {},
+    month: usage.months[getMonthKey(now)] || {},
+  };
+}
+
+/**
+ * Estimates the cost of a month's usage of a provider from its list prices.
+ * @param {import("./providers/registry.js").TranslationProvider} provider - The provider.
+ * @param {UsageCounts|undefined} counts - The provider's counts for the month.
+ * @returns {number|null} - The estimated cost in US dollars, or null if the provider has no known prices.
+ */
+function estimateMonthlyCost(provider, counts) {
+  const { pricing } = provider;
+  if (!pricing) {
+    return null;
+  }
+  const { characters, promptTokens, completionTokens } = addCounts(counts, {});
+  const billedCharacters = Math.max(
+    0,
+    characters - (pricing.freeCharactersPerMonth || 0),
+  );
+  return (
+    (billedCharacters * (pricing.perMillionCharacters || 0) +
+      promptTokens * (pricing.perMillionInputTokens || 0) +
+      completionTokens * (pricing.perMillionOutputTokens || 0)) /
+    1000000
+  );
+}
+
+/**
+ * Returns the tokens a provider used, prompt and completion together.
+ * @param {UsageCounts|undefined} counts - The provider's counts, if any.
+ * @returns {number} - The tokens.
+ */
+function getTokens(counts) {
+  return counts ? counts.promptTokens + counts.completionTokens : 0;
+}
+
+/**
+ * Lists the limits of a cap that usage goes over.
+ * @param {UsageCap} cap - The cap.
+ * @param {number} characters - Characters sent.
+ * @param {number} tokens - Tokens used.
+ * @returns {string[]} - "characters" and/or "tokens".
+ */
+function getExceededLimits(cap, characters, tokens) {
+  const exceeded = [];
+  if (cap.characters && characters > cap.characters) {
+    exceeded.push("characters");
+  }
+  if (cap.tokens && tokens > cap.tokens) {
+    exceeded.push("tokens");
+  }
+  return exceeded;
+}
+
+/**
+ * Lists the providers whose usage in a month is over the cap the user set.
+ * @param {Object<string, UsageCap>} usageCaps - The caps, keyed by provider ID.
+ * @param {Object<string, UsageCounts>} month - The month's counts, keyed by provider ID.
+ * @returns {CapWarning[]} - The providers over their caps.
+ */
+function findCapWarnings(usageCaps, month) {
+  return Object.entries(usageCaps)
+    .map(([providerId, cap]) => ({
+      providerId,
+      characters: month[providerId] ? month[providerId].characters : 0,
+      tokens: getTokens(month[providerId]),
+      cap,
+    }))
+    .filter(
+      ({ characters, tokens, cap }) =>
+        getExceededLimits(cap, characters, tokens).length,
+    );
+}
+
+/**
+ * Clears the toolbar icon warning set when a provider passed a soft cap.
+ */
+function clearCapBadge() {
+  chrome.action.setBadgeText({ text: "" });
+  chrome.action.setTitle({ title: "BabbelSky" });
+}
+
+/**
+ * Checks a request against the monthly character and token caps the user set
+ * for the provider. The tokens of a request are only known once it is
+ * answered, so its prompt and reply tokens are estimated from its
+ * characters, which makes token limits approximate. Passing a soft cap
+ * flags the toolbar icon; passing a hard cap stops the request. Once no
+ * provider is over its cap, e.g. in a new month or after a limit was raised,
+ * the flag is cleared.
+ * @param {{id: string, name: string}} provider - The provider the request is sent to.
+ * @param {number} characters - Characters the request sends.
+ * @returns {Promise<void>}
+ * @throws {TranslationError} - With code USAGE_CAP_REACHED if the request would pass a hard cap.
+ */
+async function checkUsageCap(provider, characters) {
+  const [{ usageCaps = {} }, usage] = await Promise.all([
+    getStorage(["usageCaps"]),
+    readUsage(),
+  ]);
+  const cap = usageCaps[provider.id];
+  const month = usage.months[getMonthKey()] || {};
+  const counts = month[provider.id];
+  const exceeded = cap
+    ? getExceededLimits(
+        cap,
+        (counts ? counts.characters : 0) + characters,
+        getTokens(counts) + estimateRequestTokens(characters),
+      )
+    : [];
+  if (!exceeded.length) {
+    if (!findCapWarnings(usageCaps, month).length) {
+      clearCapBadge();
+    }
+    return;
+  }
+
+  const limit = exceeded
+    .map((unit) => `${cap[unit].toLocaleString()} ${unit}`)
+    .join(" and ");
+  if (cap.mode === "hard") {
+    throw new TranslationError(
+      `This would go over the limit of ${limit} a month you set for ${provider.name}. Raise the limit on the options page, or wait until next month.`,
+      { code: TranslationErrorCode.USAGE_CAP_REACHED, providerId: provider.id },
+    );
+  }
+  console.warn(
+    `BabbelSky: ${provider.name} is over the monthly limit of ${limit}.`,
+  );
+  chrome.action.setBadgeText({ text: "!" });
+  chrome.action.setTitle({
+    title: `BabbelSky: ${provider.name} is over the monthly limit you set`,
+  });
+}
+
+/**
+ * Lists the providers whose usage this month is over the cap the user set.
+ * @returns {Promise<CapWarning[]>} - The providers over their caps.
+ */
+async function getCapWarnings() {
+  const [{ usageCaps = {} }, usage] = await Promise.all([
+    getStorage(["usageCaps"]),
+    readUsage(),
+  ]);
+  return findCapWarnings(usageCaps, usage.months[getMonthKey()] || {});
+}
+
+export {
+  recordUsage,
+  getTodayUsage,
+  getUsageSummary,
+  estimateMonthlyCost,
+  checkUsageCap,
+  getCapWarnings,
+  clearCapBadge,
+};
@@ -158,11 +158,77 @@ function setLocalStorage(items) {
   });
 }
 
+/**
+ * Promisified version of chrome.storage.session.get.
+ * Session storage is cleared when the browser closes.
+ * @param {string[]|Object} keys - Keys to retrieve.
+ * @returns {Promise<Object>} - Promise resolving to retrieved items.
+ */
+function getSessionStorage(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.session.get(keys, (items) => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve(items);
+      }
+    });
+  });
+}
+
+/**
+ * Promisified version of chrome.storage.session.set.
+ * @param {Object} items - Items to store.
+ * @returns {Promise<void>}
+ */
+function setSessionStorage(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.session.set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Returns the host permission match pattern of a URL. Match patterns can't
+ * name a port, so a local server such as http://localhost:11434 is matched
+ * on all ports of its host.
+ * @param {string|URL} url - The URL.
+ * @returns {string} - The match pattern, e.g. "http://localhost/*".
+ */
+function getOriginPattern(url) {
+  const { protocol, hostname } = new URL(url);
+  return `${protocol}//${hostname}/*`;
+}
+
+/**
+ * Checks whether the extension has been granted access to a URL's host.
+ * @param {string} url - The URL to check.
+ * @returns {Promise<boolean>} - True if the host permission is granted.
+ */
+function hasHostPermission(url) {
+  return new Promise((resolve) => {
+    chrome.permissions.contains(
+      { origins: [getOriginPattern(url)] },
+      (granted) => resolve(!!granted),
+    );
+  });
+}
+
 export {
   getStorage,
   setStorage,
+  getLocalStorage,
   setLocalStorage,
+  getSessionStorage,
+  setSessionStorage,
   getEncryptionKey,
   decryptData,
   arrayBufferToBase64,
+  getOriginPattern,
+  hasHostPermission,
 };